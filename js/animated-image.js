@@ -0,0 +1,502 @@
+/**
+ * animated-image.js
+ * Reads and writes the APNG and animated WebP containers
+ *
+ * Frames are not decoded here: parsing splits a file into standalone still
+ * PNG/WebP images (which the browser can decode) plus their placement, timing
+ * and disposal, and building wraps encoded stills into an animation.
+ */
+
+const AnimatedImage = {
+    pngSignature: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A],
+
+    // PNG chunks that describe the frames rather than the shared image format
+    apngFrameChunks: ['IHDR', 'acTL', 'fcTL', 'IDAT', 'fdAT', 'IEND'],
+
+    crcTable: null,
+
+    /**
+     * Tell an animated PNG or WebP apart from a still one
+     * @param {Uint8Array} bytes - File contents
+     * @returns {string|null} 'apng', 'webp' or null when not animated
+     */
+    getAnimationType(bytes) {
+        if (this.isPng(bytes)) {
+            for (const chunk of this.readPngChunks(bytes)) {
+                // acTL has to come before the image data
+                if (chunk.type === 'IDAT') break;
+                if (chunk.type === 'acTL') {
+                    return this.readUint32(chunk.data, 0) > 1 ? 'apng' : null;
+                }
+            }
+            return null;
+        }
+
+        if (this.isWebP(bytes)) {
+            const first = this.readWebPChunks(bytes)[0];
+            return first && first.type === 'VP8X' && (first.data[0] & 0x02) ? 'webp' : null;
+        }
+
+        return null;
+    },
+
+    /**
+     * getAnimationType() for a File or Blob, reading only its headers
+     * A WebP says so in its first chunk; an APNG has acTL somewhere before its image data,
+     * so PNG chunks are stepped over without reading what's in them
+     * @returns {Promise<string|null>} 'apng', 'webp' or null when not animated
+     */
+    async getFileAnimationType(file) {
+        const read = async (start, end) => new Uint8Array(await file.slice(start, end).arrayBuffer());
+
+        const header = await read(0, 64);
+        if (this.isWebP(header)) {
+            return this.getAnimationType(header);
+        }
+        if (!this.isPng(header)) {
+            return null;
+        }
+
+        // Length, type and the first 4 bytes of data (acTL's frame count)
+        let offset = 8;
+        while (offset + 12 <= file.size) {
+            const chunk = await read(offset, offset + 12);
+            const type = this.readTag(chunk, 4);
+
+            if (type === 'IDAT' || type === 'IEND') return null;
+            if (type === 'acTL') {
+                return this.readUint32(chunk, 8) > 1 ? 'apng' : null;
+            }
+            offset += this.readUint32(chunk, 0) + 12;
+        }
+
+        return null;
+    },
+
+    /**
+     * Split an APNG or animated WebP into frames
+     * @returns {Object} { width, height, frames: [{ left, top, width, height, delay (ms),
+     *                     disposal: 'none' | 'background' | 'previous', blend: 'source' | 'over', blob }] }
+     */
+    parse(bytes) {
+        const type = this.getAnimationType(bytes);
+        if (type === 'apng') return this.parseApng(bytes);
+        if (type === 'webp') return this.parseWebP(bytes);
+        throw new Error('Not an animated PNG or WebP');
+    },
+
+    /**
+     * APNG: each frame becomes a PNG with the frame's size, the shared chunks
+     * (palette, transparency, colour space) and its image data as IDAT
+     */
+    parseApng(bytes) {
+        const chunks = this.readPngChunks(bytes);
+        const ihdr = chunks.find(chunk => chunk.type === 'IHDR');
+        const shared = [];
+        const frames = [];
+        let frame = null;
+        let seenImageData = false;
+
+        chunks.forEach(chunk => {
+            if (chunk.type === 'fcTL') {
+                const data = chunk.data;
+                const delayNum = this.readUint16(data, 20);
+                const delayDen = this.readUint16(data, 22) || 100;
+
+                frame = {
+                    width: this.readUint32(data, 4),
+                    height: this.readUint32(data, 8),
+                    left: this.readUint32(data, 12),
+                    top: this.readUint32(data, 16),
+                    delay: Math.round(delayNum / delayDen * 1000) || 100,
+                    disposal: ['none', 'background', 'previous'][data[24]] || 'none',
+                    blend: data[25] === 1 ? 'over' : 'source',
+                    data: []
+                };
+                frames.push(frame);
+            } else if (chunk.type === 'IDAT') {
+                // The default image only belongs to the animation when an fcTL came before it
+                seenImageData = true;
+                if (frame) frame.data.push(chunk.data);
+            } else if (chunk.type === 'fdAT') {
+                if (frame) frame.data.push(chunk.data.subarray(4));
+            } else if (!seenImageData && !this.apngFrameChunks.includes(chunk.type)) {
+                shared.push(chunk);
+            }
+        });
+
+        // Previous disposal on the first frame means clearing it
+        if (frames.length > 0 && frames[0].disposal === 'previous') {
+            frames[0].disposal = 'background';
+        }
+
+        return {
+            width: this.readUint32(ihdr.data, 0),
+            height: this.readUint32(ihdr.data, 4),
+            frames: frames.filter(entry => entry.data.length > 0).map(entry => {
+                const header = ihdr.data.slice();
+                this.writeUint32(header, 0, entry.width);
+                this.writeUint32(header, 4, entry.height);
+
+                const png = [
+                    new Uint8Array(this.pngSignature),
+                    this.pngChunk('IHDR', header),
+                    ...shared.map(chunk => this.pngChunk(chunk.type, chunk.data)),
+                    ...entry.data.map(data => this.pngChunk('IDAT', data)),
+                    this.pngChunk('IEND', new Uint8Array(0))
+                ];
+
+                const { data, ...placement } = entry;
+                return { ...placement, blob: new Blob(png, { type: 'image/png' }) };
+            })
+        };
+    },
+
+    /**
+     * Animated WebP: each ANMF frame's bitstream (with its alpha) becomes a still WebP
+     */
+    parseWebP(bytes) {
+        const chunks = this.readWebPChunks(bytes);
+        const vp8x = chunks.find(chunk => chunk.type === 'VP8X');
+        const frames = [];
+
+        chunks.filter(chunk => chunk.type === 'ANMF').forEach(chunk => {
+            const data = chunk.data;
+            const width = this.readUint24LE(data, 6) + 1;
+            const height = this.readUint24LE(data, 9) + 1;
+            const inner = this.readWebPChunks(data, 16);
+            const alpha = inner.find(entry => entry.type === 'ALPH');
+            const image = inner.find(entry => entry.type === 'VP8 ' || entry.type === 'VP8L');
+            if (!image) return;
+
+            // Lossy frames keep their alpha in a separate ALPH chunk, which needs the extended header
+            const parts = [];
+            if (alpha) {
+                const header = new Uint8Array(10);
+                header[0] = 0x10;
+                this.writeUint24LE(header, 4, width - 1);
+                this.writeUint24LE(header, 7, height - 1);
+                parts.push(this.webpChunk('VP8X', header), this.webpChunk('ALPH', alpha.data));
+            }
+            parts.push(this.webpChunk(image.type, image.data));
+
+            frames.push({
+                left: this.readUint24LE(data, 0) * 2,
+                top: this.readUint24LE(data, 3) * 2,
+                width,
+                height,
+                delay: this.readUint24LE(data, 12) || 100,
+                disposal: data[15] & 0x01 ? 'background' : 'none',
+                blend: data[15] & 0x02 ? 'source' : 'over',
+                blob: new Blob(this.riff(parts), { type: 'image/webp' })
+            });
+        });
+
+        return {
+            width: this.readUint24LE(vp8x.data, 4) + 1,
+            height: this.readUint24LE(vp8x.data, 7) + 1,
+            frames
+        };
+    },
+
+    /**
+     * Encode RGBA pixels as an 8-bit RGBA PNG
+     * Browser PNG encoders pick the colour type per image, so APNG frames are
+     * encoded here to make sure they all share one
+     * @param {Uint8ClampedArray} pixels - ImageData.data
+     * @returns {Promise<Uint8Array>} PNG file bytes
+     */
+    async encodePng(pixels, width, height) {
+        const header = new Uint8Array(13);
+        this.writeUint32(header, 0, width);
+        this.writeUint32(header, 4, height);
+        header[8] = 8; // Bit depth
+        header[9] = 6; // Colour type: RGBA
+
+        // Every row gets the Paeth filter, which suits both photos and flat areas
+        const stride = width * 4;
+        const filtered = new Uint8Array((stride + 1) * height);
+        for (let y = 0; y < height; y++) {
+            const row = y * stride;
+            const out = y * (stride + 1);
+            filtered[out] = 4;
+            for (let x = 0; x < stride; x++) {
+                const a = x >= 4 ? pixels[row + x - 4] : 0;
+                const b = y > 0 ? pixels[row - stride + x] : 0;
+                const c = x >= 4 && y > 0 ? pixels[row - stride + x - 4] : 0;
+                const pa = Math.abs(b - c);
+                const pb = Math.abs(a - c);
+                const pc = Math.abs(a + b - c - c);
+                const predictor = pa <= pb && pa <= pc ? a : (pb <= pc ? b : c);
+                filtered[out + 1 + x] = pixels[row + x] - predictor;
+            }
+        }
+
+        const stream = new Blob([filtered]).stream().pipeThrough(new CompressionStream('deflate'));
+        const compressed = new Uint8Array(await new Response(stream).arrayBuffer());
+
+        return this.concat([
+            new Uint8Array(this.pngSignature),
+            this.pngChunk('IHDR', header),
+            this.pngChunk('IDAT', compressed),
+            this.pngChunk('IEND', new Uint8Array(0))
+        ]);
+    },
+
+    /**
+     * Build an APNG from full-size PNG stills
+     * Frames must share one colour type and bit depth, see encodePng()
+     * @param {Object} options - { width, height, plays: 0 loops forever }
+     * @param {Array} frames - { data: PNG file bytes, delay (ms) }
+     * @returns {Array<Uint8Array>} File parts for a Blob
+     */
+    buildApng(options, frames) {
+        const parsed = frames.map(frame => this.readPngChunks(frame.data));
+        const ihdr = parsed[0].find(chunk => chunk.type === 'IHDR');
+        const shared = [];
+        for (const chunk of parsed[0]) {
+            if (chunk.type === 'IDAT') break;
+            if (!this.apngFrameChunks.includes(chunk.type)) shared.push(chunk);
+        }
+
+        const actl = new Uint8Array(8);
+        this.writeUint32(actl, 0, frames.length);
+        this.writeUint32(actl, 4, options.plays || 0);
+
+        const parts = [
+            new Uint8Array(this.pngSignature),
+            this.pngChunk('IHDR', ihdr.data),
+            this.pngChunk('acTL', actl),
+            ...shared.map(chunk => this.pngChunk(chunk.type, chunk.data))
+        ];
+
+        let sequence = 0;
+        parsed.forEach((chunks, index) => {
+            const header = chunks.find(chunk => chunk.type === 'IHDR');
+
+            // Every frame must share the bit depth and colour type of the first
+            for (let i = 8; i < 13; i++) {
+                if (header.data[i] !== ihdr.data[i]) {
+                    throw new Error('Animation frames were encoded with different PNG settings');
+                }
+            }
+
+            // Full-size frames replace the previous one outright
+            const fctl = new Uint8Array(26);
+            this.writeUint32(fctl, 0, sequence++);
+            this.writeUint32(fctl, 4, options.width);
+            this.writeUint32(fctl, 8, options.height);
+            this.writeUint16(fctl, 20, Math.min(65535, Math.round(frames[index].delay)));
+            this.writeUint16(fctl, 22, 1000);
+            parts.push(this.pngChunk('fcTL', fctl));
+
+            chunks.filter(chunk => chunk.type === 'IDAT').forEach(chunk => {
+                if (index === 0) {
+                    parts.push(this.pngChunk('IDAT', chunk.data));
+                } else {
+                    const fdat = new Uint8Array(chunk.data.length + 4);
+                    this.writeUint32(fdat, 0, sequence++);
+                    fdat.set(chunk.data, 4);
+                    parts.push(this.pngChunk('fdAT', fdat));
+                }
+            });
+        });
+
+        parts.push(this.pngChunk('IEND', new Uint8Array(0)));
+        return parts;
+    },
+
+    /**
+     * Build an animated WebP from full-size WebP stills
+     * @param {Object} options - { width, height, plays: 0 loops forever }
+     * @param {Array} frames - { data: WebP file bytes, delay (ms) }
+     * @returns {Array<Uint8Array>} File parts for a Blob
+     */
+    buildWebP(options, frames) {
+        let hasAlpha = false;
+        const frameChunks = frames.map((frame, index) => {
+            const chunks = this.readWebPChunks(frame.data);
+            const alpha = chunks.find(chunk => chunk.type === 'ALPH');
+            const image = chunks.find(chunk => chunk.type === 'VP8 ' || chunk.type === 'VP8L');
+            if (!image) {
+                throw new Error('Animation frame is not a WebP image');
+            }
+
+            hasAlpha = hasAlpha || !!alpha || image.type === 'VP8L';
+
+            // Full-size frames replace the previous one outright (no blending, no disposal)
+            const header = new Uint8Array(16);
+            this.writeUint24LE(header, 6, options.width - 1);
+            this.writeUint24LE(header, 9, options.height - 1);
+            this.writeUint24LE(header, 12, Math.min(0xFFFFFF, Math.round(frames[index].delay)));
+            header[15] = 0x02;
+
+            const parts = [header];
+            if (alpha) parts.push(this.webpChunk('ALPH', alpha.data));
+            parts.push(this.webpChunk(image.type, image.data));
+
+            return this.webpChunk('ANMF', this.concat(parts));
+        });
+
+        const vp8x = new Uint8Array(10);
+        vp8x[0] = 0x02 | (hasAlpha ? 0x10 : 0);
+        this.writeUint24LE(vp8x, 4, options.width - 1);
+        this.writeUint24LE(vp8x, 7, options.height - 1);
+
+        // Transparent background, then the loop count
+        const anim = new Uint8Array(6);
+        this.writeUint16LE(anim, 4, options.plays || 0);
+
+        return this.riff([this.webpChunk('VP8X', vp8x), this.webpChunk('ANIM', anim), ...frameChunks]);
+    },
+
+    isPng(bytes) {
+        return bytes.length > 8 && this.pngSignature.every((value, i) => bytes[i] === value);
+    },
+
+    isWebP(bytes) {
+        return bytes.length > 12 && this.readTag(bytes, 0) === 'RIFF' && this.readTag(bytes, 8) === 'WEBP';
+    },
+
+    /**
+     * PNG chunks: 4-byte big-endian length, type, data, CRC
+     */
+    readPngChunks(bytes) {
+        const chunks = [];
+        let offset = 8;
+
+        while (offset + 8 <= bytes.length) {
+            const length = this.readUint32(bytes, offset);
+            const type = this.readTag(bytes, offset + 4);
+            chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+            offset += length + 12;
+            if (type === 'IEND') break;
+        }
+
+        return chunks;
+    },
+
+    pngChunk(type, data) {
+        const chunk = new Uint8Array(data.length + 12);
+        this.writeUint32(chunk, 0, data.length);
+        for (let i = 0; i < 4; i++) {
+            chunk[4 + i] = type.charCodeAt(i);
+        }
+        chunk.set(data, 8);
+        this.writeUint32(chunk, data.length + 8, this.crc32(chunk.subarray(4, data.length + 8)));
+        return chunk;
+    },
+
+    /**
+     * RIFF chunks: FourCC, 4-byte little-endian size, data padded to an even length
+     */
+    readWebPChunks(bytes, offset = 12) {
+        const chunks = [];
+
+        while (offset + 8 <= bytes.length) {
+            const type = this.readTag(bytes, offset);
+            const size = this.readUint24LE(bytes, offset + 4) + bytes[offset + 7] * 0x1000000;
+            chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + size) });
+            offset += 8 + size + (size & 1);
+        }
+
+        return chunks;
+    },
+
+    webpChunk(type, data) {
+        const chunk = new Uint8Array(8 + data.length + (data.length & 1));
+        for (let i = 0; i < 4; i++) {
+            chunk[i] = type.charCodeAt(i);
+        }
+        this.writeUint32LE(chunk, 4, data.length);
+        chunk.set(data, 8);
+        return chunk;
+    },
+
+    riff(chunks) {
+        const size = chunks.reduce((total, chunk) => total + chunk.length, 4);
+        const header = new Uint8Array(12);
+        header.set([0x52, 0x49, 0x46, 0x46], 0); // RIFF
+        this.writeUint32LE(header, 4, size);
+        header.set([0x57, 0x45, 0x42, 0x50], 8); // WEBP
+        return [header, ...chunks];
+    },
+
+    concat(parts) {
+        const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    },
+
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    readTag(bytes, offset) {
+        return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+    },
+
+    readUint32(bytes, offset) {
+        return ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+    },
+
+    readUint16(bytes, offset) {
+        return (bytes[offset] << 8) | bytes[offset + 1];
+    },
+
+    readUint24LE(bytes, offset) {
+        return bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+    },
+
+    writeUint32(bytes, offset, value) {
+        bytes[offset] = (value >>> 24) & 0xFF;
+        bytes[offset + 1] = (value >>> 16) & 0xFF;
+        bytes[offset + 2] = (value >>> 8) & 0xFF;
+        bytes[offset + 3] = value & 0xFF;
+    },
+
+    writeUint16(bytes, offset, value) {
+        bytes[offset] = (value >>> 8) & 0xFF;
+        bytes[offset + 1] = value & 0xFF;
+    },
+
+    writeUint32LE(bytes, offset, value) {
+        this.writeUint24LE(bytes, offset, value);
+        bytes[offset + 3] = (value >>> 24) & 0xFF;
+    },
+
+    writeUint24LE(bytes, offset, value) {
+        bytes[offset] = value & 0xFF;
+        bytes[offset + 1] = (value >>> 8) & 0xFF;
+        bytes[offset + 2] = (value >>> 16) & 0xFF;
+    },
+
+    writeUint16LE(bytes, offset, value) {
+        bytes[offset] = value & 0xFF;
+        bytes[offset + 1] = (value >>> 8) & 0xFF;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnimatedImage;
+}
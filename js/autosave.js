@@ -0,0 +1,200 @@
+/**
+ * autosave.js
+ * Persists the composition to IndexedDB so it survives the tab being killed
+ *
+ * The saved record is a project document (see ProjectManager.serialize) with the
+ * media kept as Blobs instead of data URLs, written after every history change.
+ */
+
+const AutosaveManager = {
+    dbName: 'proofshot',
+    dbVersion: 1,
+    storeName: 'autosave',
+    recordKey: 'last',
+
+    // Wait this long (ms) after the last change before writing
+    saveDelay: 800,
+
+    db: null,
+    saveTimeout: null,
+    saving: null,
+    enabled: false,
+
+    /**
+     * Initialize autosave
+     * Saving starts once start() is called, after any restore offer has been handled
+     */
+    init(canvasInstance) {
+        this.canvas = canvasInstance;
+
+        if (window.HistoryManager) {
+            window.HistoryManager.onChange(() => this.scheduleSave());
+        }
+
+        // The browser may discard a backgrounded tab without warning, so write pending changes now
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.flush();
+            }
+        });
+        window.addEventListener('pagehide', () => {
+            this.flush();
+        });
+    },
+
+    /**
+     * Start recording changes
+     */
+    start() {
+        this.enabled = true;
+    },
+
+    /**
+     * Check whether IndexedDB can be used
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    /**
+     * Open (and create if needed) the autosave database
+     */
+    openDatabase() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName);
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Run a single request against the autosave store
+     */
+    async runRequest(mode, operation) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+
+    /**
+     * Queue a save after the current burst of changes settles
+     */
+    scheduleSave() {
+        if (!this.enabled || !this.isSupported()) return;
+
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            this.save();
+        }, this.saveDelay);
+    },
+
+    /**
+     * Write a queued save immediately
+     */
+    flush() {
+        if (!this.saveTimeout) return;
+
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+        this.save();
+    },
+
+    /**
+     * Save the current composition
+     * Saves run one after another so an older state never overwrites a newer one
+     */
+    save() {
+        const previous = this.saving || Promise.resolve();
+
+        this.saving = previous.then(() => this.writeRecord()).catch(error => {
+            console.warn('Autosave failed:', error);
+        });
+
+        return this.saving;
+    },
+
+    async writeRecord() {
+        // Nothing worth recovering - drop the old record so it isn't offered again
+        if (!this.hasContent()) {
+            await this.clear();
+            return;
+        }
+
+        const project = await ProjectManager.serialize(async media => {
+            const blob = await ProjectManager.getMediaSource(media);
+            return { name: blob.name || 'media', type: blob.type, blob };
+        });
+
+        await this.runRequest('readwrite', store => store.put(project, this.recordKey));
+    },
+
+    /**
+     * Check whether the canvas holds anything besides the placeholder
+     */
+    hasContent() {
+        return !!this.canvas.backgroundImage ||
+            this.canvas.photocardLayers.some(layer => layer.image && !layer.isPlaceholder);
+    },
+
+    /**
+     * Read the last autosaved project, if any
+     */
+    async load() {
+        if (!this.isSupported()) return null;
+
+        try {
+            const project = await this.runRequest('readonly', store => store.get(this.recordKey));
+            return project || null;
+        } catch (error) {
+            console.warn('Could not read autosave:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Restore an autosaved project into the canvas
+     */
+    async restore(project) {
+        await ProjectManager.loadProject(project);
+    },
+
+    /**
+     * Delete the autosaved project
+     */
+    async clear() {
+        if (!this.isSupported()) return;
+
+        try {
+            await this.runRequest('readwrite', store => store.delete(this.recordKey));
+        } catch (error) {
+            console.warn('Could not clear autosave:', error);
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AutosaveManager;
+}
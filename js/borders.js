@@ -83,6 +83,7 @@ const BorderManager = {
         // Trigger canvas redraw
         if (this.canvas) {
             this.canvas.render();
+            this.canvas.commitChange('border');
         }
     },
 
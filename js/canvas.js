@@ -7,40 +7,34 @@ const CanvasManager = {
     canvas: null,
     ctx: null,
     backgroundImage: null,
-    photocardImage: null,
 
-    // GIF animation properties
-    photocardGif: {
-        isGif: false,
-        frames: [],
-        delays: [],
-        currentFrame: 0,
-        lastFrameTime: 0,
-        animationFrame: null
-    },
+    // Photocard layer stack (ordered bottom to top within each front/back group)
+    photocardLayers: [],
+    activeLayerIndex: -1,
+    nextLayerId: 1,
 
     backgroundGif: {
         isGif: false,
         frames: [],
         delays: [],
-        currentFrame: 0,
-        lastFrameTime: 0,
-        animationFrame: null
+        currentFrame: 0
     },
 
     // Video properties
-    photocardVideo: {
+    backgroundVideo: {
         isVideo: false,
         element: null,
         originalFile: null,
-        animationFrame: null
+        trim: { start: 0, end: null }
     },
 
-    backgroundVideo: {
-        isVideo: false,
-        element: null,
-        originalFile: null,
-        animationFrame: null
+    // Shared playback clock for every GIF and video (time in ms)
+    timeline: {
+        time: 0,
+        playing: true,
+        lastTick: null,
+        animationFrame: null,
+        suspended: 0
     },
 
     // Camera properties
@@ -56,6 +50,59 @@ const CanvasManager = {
         supportedZoomLevel: null // Will be set based on device capabilities
     },
 
+    // Fill behind the background image (the editor canvas is opaque)
+    backgroundColor: '#000000',
+
+    // Export canvas limits (browsers refuse to allocate larger canvases, iOS caps the area)
+    maxExportDimension: 8192,
+    maxExportArea: 16777216,
+
+    // Size budget limits: lowest lossy quality tried before shrinking,
+    // and the fewest video bits per pixel per frame before shrinking
+    budgetQualityFloor: 0.5,
+    budgetMinBitsPerPixel: 0.04,
+
+    // Video export frame rate, keyframe spacing (seconds) and WebCodecs codecs in order of preference
+    videoExportFps: 30,
+    videoKeyframeInterval: 2,
+    videoEncoderCodecs: ['vp09.00.10.08', 'vp8'],
+
+    // Longest common loop (ms) for GIFs of different lengths; past it the longest GIF sets the loop
+    maxGifLoopDuration: 30000,
+
+    // Shortest GIF frame (ms) - browsers slow anything shorter down to 100ms
+    minGifFrameDelay: 20,
+
+    // Shortest trimmed video range (seconds)
+    minTrimLength: 0.5,
+
+    // How far (seconds) a playing video may drift from the timeline before it is seeked back
+    timelineDriftTolerance: 0.1,
+
+    // Video export audio (Opus)
+    audioExportSampleRate: 48000,
+    audioExportChannels: 2,
+    audioExportBitrate: 128000,
+
+    // Web Audio nodes for video elements (an element can only be wrapped once)
+    // and decoded soundtracks of source files
+    audioContext: null,
+    audioElementNodes: new WeakMap(),
+    decodedAudio: new WeakMap(),
+
+    // GIFs are decoded here off the main thread (relative to the page)
+    gifWorkerUrl: 'js/gif-decoder-worker.js',
+
+    // GIF export encodes frames in parallel on up to this many workers
+    gifEncoderWorkerUrl: 'js/gif-encoder-worker.js',
+    maxGifEncoderWorkers: 4,
+
+    // GIF export stops rendering ahead once this many frames per worker wait for encoding
+    gifFramesInFlightPerWorker: 2,
+
+    // Frames encoded to estimate a GIF's file size
+    gifEstimateSamples: 3,
+
     // Background transform properties
     background: {
         x: 0,
@@ -66,18 +113,22 @@ const CanvasManager = {
         flipV: false
     },
 
-    // Photocard transform properties
-    photocard: {
-        x: 0,
-        y: 0,
-        scale: 1,
-        rotation: 0,
-        flipH: false,
-        flipV: false,
-        layer: 'front', // 'front' or 'back'
-        showToploader: true // toploader visibility
+    // Light falling on the scene, for toploader glare and shadows
+    // angle: degrees clockwise from the top of the canvas; auto: estimate it from the background
+    light: {
+        angle: 0,
+        auto: false
     },
 
+    // Light direction estimated from the current background: { source, angle, time }
+    lightEstimate: null,
+
+    // Animated and live backgrounds are looked at again this often (ms)
+    lightEstimateInterval: 1000,
+
+    // While above 0 (during exports) the estimate stays as it is, see withLightHeld()
+    lightHeld: 0,
+
     // Crop settings (for export)
     crop: {
         enabled: false,
@@ -85,14 +136,14 @@ const CanvasManager = {
         bounds: { x: 0, y: 0, width: 0, height: 0 }
     },
 
-    // Toploader gradient cache (to avoid recreating on every frame)
-    toploaderGradientCache: {
-        westGradient: null,
-        eastGradient: null,
-        southGradient: null,
-        cachedWidth: null,
-        cachedHeight: null
-    },
+    // Pre-rendered toploader overlays, so renders during gestures draw one bitmap
+    // Keyed by preset, card size, resolution and light; least recently used dropped first
+    // Holds at least one overlay per toploader on the canvas, so a full set never misses
+    toploaderOverlayCache: new Map(),
+    maxToploaderOverlays: 4,
+
+    // Longest side of a pre-rendered overlay, in pixels
+    maxToploaderOverlaySize: 4096,
 
     // Touch/gesture state
     gesture: {
@@ -116,10 +167,446 @@ const CanvasManager = {
     // Edit mode ('photocard' or 'background')
     editMode: 'photocard',
 
+    /**
+     * Active photocard layer accessors
+     * Existing single-photocard code paths read and write the selected layer through these
+     */
+    get photocardImage() {
+        const layer = this.getActiveLayer();
+        return layer ? layer.image : null;
+    },
+
+    set photocardImage(image) {
+        this.ensureActiveLayer().image = image;
+    },
+
+    get photocard() {
+        return this.ensureActiveLayer().transform;
+    },
+
+    set photocard(transform) {
+        this.ensureActiveLayer().transform = transform;
+    },
+
+    get photocardGif() {
+        return this.ensureActiveLayer().gif;
+    },
+
+    set photocardGif(gif) {
+        this.ensureActiveLayer().gif = gif;
+    },
+
+    get photocardVideo() {
+        return this.ensureActiveLayer().video;
+    },
+
+    set photocardVideo(video) {
+        this.ensureActiveLayer().video = video;
+    },
+
+    get isPlaceholder() {
+        const layer = this.getActiveLayer();
+        return !!(layer && layer.isPlaceholder);
+    },
+
+    set isPlaceholder(value) {
+        this.ensureActiveLayer().isPlaceholder = value;
+    },
+
+    /**
+     * Create an empty GIF animation state
+     */
+    createGifState() {
+        return {
+            isGif: false,
+            frames: [],
+            delays: [],
+            originalFile: null,
+            currentFrame: 0
+        };
+    },
+
+    /**
+     * Create an empty video state
+     */
+    createVideoState() {
+        return {
+            isVideo: false,
+            element: null,
+            originalFile: null,
+            // In/out points in seconds; end null means the end of the video
+            trim: { start: 0, end: null }
+        };
+    },
+
+    /**
+     * Create an empty photocard layer with default transform and media state
+     */
+    createPhotocardLayer() {
+        return {
+            id: this.nextLayerId++,
+            image: null,
+            isPlaceholder: false,
+            transform: {
+                x: 0,
+                y: 0,
+                scale: 1,
+                rotation: 0,
+                flipH: false,
+                flipV: false,
+                layer: 'front', // 'front' or 'back'
+                showToploader: true, // toploader visibility
+                toploaderPreset: 'standard' // holder style, see ToploaderPresets
+            },
+            gif: this.createGifState(),
+            video: this.createVideoState()
+        };
+    },
+
+    /**
+     * Get the currently selected photocard layer
+     */
+    getActiveLayer() {
+        return this.photocardLayers[this.activeLayerIndex] || null;
+    },
+
+    /**
+     * Get the selected photocard layer, creating one if the stack is empty
+     */
+    ensureActiveLayer() {
+        let layer = this.getActiveLayer();
+        if (!layer) {
+            layer = this.createPhotocardLayer();
+            this.photocardLayers.push(layer);
+            this.activeLayerIndex = this.photocardLayers.length - 1;
+        }
+        return layer;
+    },
+
+    /**
+     * Add a new photocard layer on top of the stack and select it
+     */
+    addPhotocardLayer() {
+        const layer = this.createPhotocardLayer();
+        this.photocardLayers.push(layer);
+        this.activeLayerIndex = this.photocardLayers.length - 1;
+        this.notifyLayersChanged();
+        return layer;
+    },
+
+    /**
+     * Remove a photocard layer (defaults to the selected one)
+     */
+    removePhotocardLayer(index = this.activeLayerIndex) {
+        const layer = this.photocardLayers[index];
+        if (!layer) return;
+
+        // Only pause the layer's media - undo may bring the layer back
+        this.pauseVideo(layer.video);
+        this.photocardLayers.splice(index, 1);
+
+        if (this.photocardLayers.length === 0) {
+            // Keep the tap-to-upload placeholder when the last card is removed
+            this.activeLayerIndex = -1;
+            this.loadPlaceholderPhotocard();
+        } else {
+            this.activeLayerIndex = Math.min(index, this.photocardLayers.length - 1);
+        }
+
+        this.notifyLayersChanged();
+        this.render();
+        this.commitChange('layers');
+    },
+
+    /**
+     * Select a photocard layer by index
+     */
+    selectPhotocardLayer(index) {
+        if (index < 0 || index >= this.photocardLayers.length || index === this.activeLayerIndex) return;
+        this.activeLayerIndex = index;
+        this.notifyLayersChanged();
+    },
+
+    /**
+     * Move the selected layer up (+1) or down (-1) in the stack
+     */
+    movePhotocardLayer(direction) {
+        const from = this.activeLayerIndex;
+        const to = from + direction;
+        if (from < 0 || to < 0 || to >= this.photocardLayers.length) return;
+
+        const [layer] = this.photocardLayers.splice(from, 1);
+        this.photocardLayers.splice(to, 0, layer);
+        this.activeLayerIndex = to;
+
+        this.notifyLayersChanged();
+        this.render();
+        this.commitChange('layers');
+    },
+
+    /**
+     * Layers in draw order: 'back' layers below the border, then 'front' layers
+     */
+    getPhotocardDrawOrder() {
+        const visible = this.photocardLayers.filter(layer => layer.image);
+        return [
+            ...visible.filter(layer => layer.transform.layer === 'back'),
+            ...visible.filter(layer => layer.transform.layer !== 'back')
+        ];
+    },
+
+    /**
+     * Find the top-most photocard layer under a point
+     */
+    getPhotocardLayerAt(x, y) {
+        const order = this.getPhotocardDrawOrder();
+        for (let i = order.length - 1; i >= 0; i--) {
+            if (this.isPointOnPhotocard(x, y, order[i])) {
+                return order[i];
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Pause a layer's video and detach its media state
+     * The old state objects are replaced rather than cleared so undo history can restore them
+     */
+    releaseLayerMedia(layer) {
+        this.pauseVideo(layer.video);
+
+        layer.gif = this.createGifState();
+        layer.video = this.createVideoState();
+    },
+
+    /**
+     * Pick the layer a new upload should go into
+     * Replaces the placeholder, otherwise the selected layer unless a new layer is requested
+     */
+    getUploadTargetLayer(newLayer) {
+        const active = this.getActiveLayer();
+        if (!active || active.isPlaceholder || !newLayer) {
+            const layer = this.ensureActiveLayer();
+            this.releaseLayerMedia(layer);
+            return layer;
+        }
+        return this.addPhotocardLayer();
+    },
+
+    /**
+     * Center and fit a photocard layer on the canvas
+     * New cards are cascaded slightly so stacked cards stay visible
+     */
+    placePhotocardLayer(layer, imgWidth) {
+        const rect = this.canvas.getBoundingClientRect();
+        const index = this.photocardLayers.filter(l => !l.isPlaceholder).indexOf(layer);
+        const cascade = index > 0 ? (index % 5) * 24 : 0;
+
+        layer.transform.x = rect.width / 2 + cascade;
+        layer.transform.y = rect.height / 2 + cascade;
+        layer.transform.scale = Math.min(rect.width, rect.height) / (imgWidth * 1.5);
+    },
+
+    /**
+     * Let the UI know the layer stack or selection changed
+     */
+    notifyLayersChanged() {
+        if (window.UIManager && window.UIManager.handleLayersChanged) {
+            window.UIManager.handleLayersChanged();
+        }
+    },
+
+    /**
+     * Record a finished edit (undo history)
+     * @param {string} key - Kind of edit, used to coalesce slider drags and wheel zooms
+     * @param {Object} options - { coalesce: merge with a recent edit of the same key, merge: fold into the current step }
+     */
+    commitChange(key, options = {}) {
+        if (window.HistoryManager) {
+            window.HistoryManager.commit(key, options);
+        }
+    },
+
+    /**
+     * Capture the editable composition state
+     * Media is captured by reference so undo can bring back removed or replaced cards
+     */
+    captureState() {
+        return {
+            background: { ...this.background },
+            backgroundMedia: {
+                image: this.backgroundImage,
+                gif: this.backgroundGif,
+                video: this.backgroundVideo,
+                trim: { ...this.backgroundVideo.trim }
+            },
+            layers: this.photocardLayers.map(layer => ({
+                layer,
+                transform: { ...layer.transform },
+                image: layer.image,
+                isPlaceholder: layer.isPlaceholder,
+                gif: layer.gif,
+                video: layer.video,
+                trim: { ...layer.video.trim }
+            })),
+            activeLayerIndex: this.activeLayerIndex,
+            light: { ...this.light },
+            toploaderConfig: JSON.parse(JSON.stringify(window.ToploaderConfig || ToploaderConfig)),
+            borderId: window.BorderManager && window.BorderManager.currentBorder
+                ? window.BorderManager.currentBorder.id
+                : 'none',
+            cropRatio: this.crop.enabled ? this.crop.aspectRatio : null
+        };
+    },
+
+    /**
+     * Collect the media a captured state holds on to: GIF states, video states and still images
+     */
+    getStateMedia(state) {
+        const media = new Set();
+        [state.backgroundMedia, ...state.layers].forEach(entry => {
+            if (entry.gif.isGif) {
+                media.add(entry.gif);
+            } else if (entry.video.isVideo) {
+                media.add(entry.video);
+            } else if (entry.image) {
+                media.add(entry.image);
+            }
+        });
+        return media;
+    },
+
+    /**
+     * Estimate the decoded size in bytes of media from getStateMedia()
+     * Videos are buffered by the browser and count as nothing
+     */
+    getMediaBytes(media) {
+        const frames = media.isGif ? media.frames : media.isVideo ? [] : [media];
+        return frames.reduce((total, frame) => total + (frame.width || 0) * (frame.height || 0) * 4, 0);
+    },
+
+    /**
+     * Free the decoded frames or video buffers of media that nothing shows any more
+     */
+    releaseMedia(media) {
+        if (media.isGif) {
+            media.frames.forEach(frame => {
+                if (frame.close) frame.close();
+            });
+            media.frames = [];
+        } else if (media.isVideo && media.element) {
+            const url = media.element.src;
+            media.element.pause();
+            media.element.removeAttribute('src');
+            media.element.load();
+
+            // The file stays in memory until its object URL is revoked
+            if (url && url.startsWith('blob:')) {
+                URL.revokeObjectURL(url);
+            }
+        }
+    },
+
+    /**
+     * Check whether two captured states describe the same composition
+     */
+    isSameState(a, b) {
+        if (!a || !b) return false;
+
+        // Animated media swaps its current frame constantly, so compare the animation state instead
+        const mediaId = (media) => media.gif.isGif ? media.gif : media.video.isVideo ? media.video : media.image;
+
+        if (JSON.stringify(a.background) !== JSON.stringify(b.background)) return false;
+        if (mediaId(a.backgroundMedia) !== mediaId(b.backgroundMedia)) return false;
+        if (JSON.stringify(a.backgroundMedia.trim) !== JSON.stringify(b.backgroundMedia.trim)) return false;
+        if (a.layers.length !== b.layers.length) return false;
+        if (a.borderId !== b.borderId || a.cropRatio !== b.cropRatio) return false;
+        if (JSON.stringify(a.light) !== JSON.stringify(b.light)) return false;
+        if (JSON.stringify(a.toploaderConfig) !== JSON.stringify(b.toploaderConfig)) return false;
+
+        return a.layers.every((entry, i) => {
+            const other = b.layers[i];
+            return entry.layer === other.layer &&
+                mediaId(entry) === mediaId(other) &&
+                JSON.stringify(entry.transform) === JSON.stringify(other.transform) &&
+                JSON.stringify(entry.trim) === JSON.stringify(other.trim);
+        });
+    },
+
+    /**
+     * Restore a state captured with captureState()
+     */
+    applyState(state) {
+        const previousLayers = this.photocardLayers;
+
+        // Pause the videos that are on screen before swapping media
+        previousLayers.forEach(layer => this.pauseVideo(layer.video));
+        this.pauseVideo(this.backgroundVideo);
+
+        this.background = { ...state.background };
+        this.backgroundImage = state.backgroundMedia.image;
+        this.backgroundGif = state.backgroundMedia.gif;
+        this.backgroundVideo = state.backgroundMedia.video;
+        this.backgroundVideo.trim = { ...state.backgroundMedia.trim };
+
+        this.photocardLayers = state.layers.map(entry => {
+            const layer = entry.layer;
+            layer.transform = { ...entry.transform };
+            layer.image = entry.image;
+            layer.isPlaceholder = entry.isPlaceholder;
+            layer.gif = entry.gif;
+            layer.video = entry.video;
+            layer.video.trim = { ...entry.trim };
+            return layer;
+        });
+        this.activeLayerIndex = Math.min(state.activeLayerIndex, this.photocardLayers.length - 1);
+        this.light = { ...state.light };
+
+        // Toploader settings from the toploader editor or an opened project
+        const toploaderConfig = window.ToploaderConfig || ToploaderConfig;
+        if (JSON.stringify(state.toploaderConfig) !== JSON.stringify(toploaderConfig)) {
+            this.copyToploaderConfig(toploaderConfig, state.toploaderConfig);
+            this.invalidateToploaderCache();
+        }
+
+        // Resume animated media (the timeline restarts the restored videos)
+        this.startTimeline();
+
+        this.canvas.classList.toggle('placeholder-active', this.isPlaceholder);
+
+        // Border and crop
+        if (window.BorderManager) {
+            const currentBorderId = window.BorderManager.currentBorder ? window.BorderManager.currentBorder.id : 'none';
+            if (currentBorderId !== state.borderId) {
+                window.BorderManager.selectBorder(state.borderId);
+            }
+        }
+        const currentCropRatio = this.crop.enabled ? this.crop.aspectRatio : null;
+        if (currentCropRatio !== state.cropRatio) {
+            this.calculateCropBounds(state.cropRatio);
+        }
+
+        this.notifyLayersChanged();
+        this.render();
+    },
+
+    /**
+     * Copy captured toploader settings back into ToploaderConfig (which is shared, so kept in place)
+     */
+    copyToploaderConfig(target, source) {
+        Object.keys(source).forEach(key => {
+            if (source[key] && typeof source[key] === 'object') {
+                this.copyToploaderConfig(target[key], source[key]);
+            } else {
+                target[key] = source[key];
+            }
+        });
+    },
+
     /**
      * Initialize the canvas manager
      */
-    init() {
+    init(options = {}) {
         this.canvas = document.getElementById('proofshot-canvas');
         if (!this.canvas) {
             console.error('Canvas element not found');
@@ -135,8 +622,10 @@ const CanvasManager = {
         this.resizeCanvas();
         this.attachEventListeners();
 
-        // Load placeholder photocard
-        this.loadPlaceholderPhotocard();
+        // Load placeholder photocard (deferred while an autosave restore is offered)
+        if (!options.deferPlaceholder) {
+            this.loadPlaceholderPhotocard();
+        }
 
         // Initial render
         this.render();
@@ -362,6 +851,15 @@ const CanvasManager = {
             }
         }
 
+        // First finger on a photocard selects that layer
+        if (this.editMode === 'photocard' && this.gesture.pointers.length === 0) {
+            const rect = this.canvas.getBoundingClientRect();
+            const hitLayer = this.getPhotocardLayerAt(e.clientX - rect.left, e.clientY - rect.top);
+            if (hitLayer) {
+                this.selectPhotocardLayer(this.photocardLayers.indexOf(hitLayer));
+            }
+        }
+
         this.gesture.pointers.push({
             id: e.pointerId,
             x: e.clientX,
@@ -520,8 +1018,11 @@ const CanvasManager = {
             this.gesture.lastCenterY = undefined;
 
             // Start inertia animation if there's significant velocity
+            // (the gesture is committed to history once the card comes to rest)
             if (Math.abs(this.animation.velocityX) > 1 || Math.abs(this.animation.velocityY) > 1) {
                 this.startInertiaAnimation();
+            } else {
+                this.commitChange('gesture');
             }
         } else if (this.gesture.pointers.length === 1) {
             // Reset to single pointer drag
@@ -550,6 +1051,7 @@ const CanvasManager = {
         }
 
         this.render();
+        this.commitChange('wheel-' + this.editMode, { coalesce: true });
     },
 
     /**
@@ -577,6 +1079,8 @@ const CanvasManager = {
             // Stop if velocity is negligible
             if (Math.abs(this.animation.velocityX) < 0.1 && Math.abs(this.animation.velocityY) < 0.1) {
                 this.animation.active = false;
+                this.render();
+                this.commitChange('gesture');
                 return;
             }
 
@@ -606,27 +1110,29 @@ const CanvasManager = {
     /**
      * Check if a point is on the photocard (for hit detection)
      */
-    isPointOnPhotocard(x, y) {
-        if (!this.photocardImage) return false;
+    isPointOnPhotocard(x, y, layer = this.getActiveLayer()) {
+        if (!layer || !layer.image) return false;
+
+        const transform = layer.transform;
 
         // Transform point to photocard's local coordinates
-        const dx = x - this.photocard.x;
-        const dy = y - this.photocard.y;
+        const dx = x - transform.x;
+        const dy = y - transform.y;
 
         // Rotate point by inverse rotation
-        const cos = Math.cos(-this.photocard.rotation);
-        const sin = Math.sin(-this.photocard.rotation);
+        const cos = Math.cos(-transform.rotation);
+        const sin = Math.sin(-transform.rotation);
         const localX = dx * cos - dy * sin;
         const localY = dx * sin + dy * cos;
 
         // Scale point
-        const scaledX = localX / this.photocard.scale;
-        const scaledY = localY / this.photocard.scale;
+        const scaledX = localX / transform.scale;
+        const scaledY = localY / transform.scale;
 
         // Check if within image bounds
         // Handle both image and video elements
-        const width = this.photocardImage.videoWidth || this.photocardImage.width;
-        const height = this.photocardImage.videoHeight || this.photocardImage.height;
+        const width = layer.image.videoWidth || layer.image.width;
+        const height = layer.image.videoHeight || layer.image.height;
         const halfWidth = width / 2;
         const halfHeight = height / 2;
 
@@ -851,6 +1357,7 @@ const CanvasManager = {
         img.onload = () => {
             this.backgroundImage = img;
             this.stopCamera();
+            this.commitChange('background');
 
             // If no real photocard has been uploaded, ensure placeholder is visible
             if (!this.photocardImage || this.isPlaceholder) {
@@ -862,29 +1369,62 @@ const CanvasManager = {
 
     /**
      * Load background image
+     * @param {File} file - Image, GIF or video file
+     * @param {Object} options - GIF decoding options, see parseGif() (onProgress, signal)
      */
-    loadBackground(file) {
+    loadBackground(file, options = {}) {
         return new Promise((resolve, reject) => {
+            const previous = {
+                image: this.backgroundImage,
+                gif: this.backgroundGif,
+                video: this.backgroundVideo
+            };
+
+            const done = () => {
+                this.commitChange('background');
+                resolve();
+            };
+
+            // A GIF is shown from its first frame, so put back what was there if it doesn't finish
+            const fail = (error) => {
+                if (this.backgroundImage !== previous.image) {
+                    this.backgroundImage = previous.image;
+                    this.backgroundGif = previous.gif;
+                    this.backgroundVideo = previous.video;
+                    this.startTimeline();
+                    this.render();
+                }
+                reject(error);
+            };
+
             // Check if it's a video
             if (file.type.startsWith('video/')) {
-                this.loadBackgroundVideo(file).then(resolve).catch(reject);
+                this.loadBackgroundVideo(file).then(done).catch(fail);
                 return;
             }
 
-            // Check if it's a GIF
-            if (file.type === 'image/gif') {
-                this.loadBackgroundGif(file).then(resolve).catch(reject);
-                return;
-            }
+            // Check if it's a GIF, APNG or animated WebP
+            this.isAnimatedImage(file).then(animated => {
+                const load = animated ? this.loadBackgroundGif(file, options) : this.loadBackgroundImage(file);
+                return load.then(done);
+            }).catch(fail);
+        });
+    },
 
+    /**
+     * Load a still background image
+     */
+    loadBackgroundImage(file) {
+        return new Promise((resolve, reject) => {
             const reader = new FileReader();
 
             reader.onload = (e) => {
                 const img = new Image();
                 img.onload = () => {
+                    this.pauseVideo(this.backgroundVideo);
                     this.backgroundImage = img;
-                    this.backgroundGif.isGif = false;
-                    this.backgroundVideo.isVideo = false;
+                    this.backgroundGif = this.createGifState();
+                    this.backgroundVideo = this.createVideoState();
                     this.render();
                     resolve();
                 };
@@ -898,29 +1438,38 @@ const CanvasManager = {
     },
 
     /**
-     * Load background GIF and parse frames
+     * Load background GIF (or APNG / animated WebP) and parse frames
+     * The animation is shown as soon as its first frame is decoded and the rest stream in behind it
      */
-    async loadBackgroundGif(file) {
+    async loadBackgroundGif(file, options = {}) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
 
             reader.onload = async (e) => {
                 try {
                     const arrayBuffer = e.target.result;
-                    const gif = await this.parseGif(arrayBuffer);
-
-                    this.backgroundGif.isGif = true;
-                    this.backgroundGif.frames = gif.frames;
-                    this.backgroundGif.delays = gif.delays;
-                    this.backgroundGif.currentFrame = 0;
-                    this.backgroundGif.lastFrameTime = performance.now();
-
-                    this.backgroundImage = gif.frames[0];
-                    this.startBackgroundGifAnimation();
-                    this.render();
+                    await this.parseAnimation(file, arrayBuffer, {
+                        ...options,
+                        onFirstFrame: (gif) => {
+                            this.pauseVideo(this.backgroundVideo);
+                            this.backgroundVideo = this.createVideoState();
+                            this.backgroundGif = Object.assign(this.createGifState(), {
+                                isGif: true,
+                                frames: gif.frames,
+                                delays: gif.delays,
+                                originalFile: file
+                            });
+
+                            this.backgroundImage = gif.frames[0];
+                            this.startTimeline();
+                            this.render();
+                        }
+                    });
                     resolve();
                 } catch (error) {
-                    console.error('Error parsing GIF:', error);
+                    if (error.name !== 'AbortError') {
+                        console.error('Error parsing animation:', error);
+                    }
                     reject(error);
                 }
             };
@@ -946,10 +1495,13 @@ const CanvasManager = {
 
             video.onloadedmetadata = () => {
                 // Store the video element
-                this.backgroundVideo.isVideo = true;
-                this.backgroundVideo.element = video;
-                this.backgroundVideo.originalFile = file;
-                this.backgroundGif.isGif = false;
+                this.pauseVideo(this.backgroundVideo);
+                this.backgroundGif = this.createGifState();
+                this.backgroundVideo = Object.assign(this.createVideoState(), {
+                    isVideo: true,
+                    element: video,
+                    originalFile: file
+                });
 
                 // Create an image from the first frame for initial display
                 video.currentTime = 0;
@@ -965,7 +1517,7 @@ const CanvasManager = {
 
                 // Start video playback and animation
                 video.play().then(() => {
-                    this.startBackgroundVideoAnimation();
+                    this.startTimeline();
                     this.render();
                     resolve();
                 }).catch(reject);
@@ -1008,49 +1560,99 @@ const CanvasManager = {
 
         const img = new Image();
         img.onload = () => {
-            this.photocardImage = img;
-            this.isPlaceholder = true;
+            // A real photocard may have been added while the placeholder was loading
+            if (this.photocardLayers.some(layer => layer.image && !layer.isPlaceholder)) return;
+
+            const layer = this.ensureActiveLayer();
+            layer.image = img;
+            layer.isPlaceholder = true;
 
             // Add placeholder-active class for animation
             this.canvas.classList.add('placeholder-active');
 
             // Center photocard on canvas
-            const rect = this.canvas.getBoundingClientRect();
-            this.photocard.x = rect.width / 2;
-            this.photocard.y = rect.height / 2;
-            this.photocard.scale = Math.min(rect.width, rect.height) / (img.width * 1.5);
+            this.placePhotocardLayer(layer, img.width);
 
+            this.notifyLayersChanged();
             this.render();
+
+            // The placeholder is part of whichever step emptied the stack
+            this.commitChange('placeholder', { merge: true });
         };
         img.src = 'data:image/svg+xml;base64,' + btoa(placeholderSvg);
     },
 
     /**
      * Load photocard image
+     * @param {File} file - Image, GIF or video file
+     * @param {Object} options - { newLayer: add on top of the stack instead of replacing the selected card,
+     *                              plus the GIF decoding options of parseGif() (onProgress, signal) }
      */
-    loadPhotocard(file) {
+    loadPhotocard(file, options = {}) {
         return new Promise((resolve, reject) => {
+            const active = this.getActiveLayer();
+            const previous = active ? {
+                image: active.image,
+                isPlaceholder: active.isPlaceholder,
+                gif: active.gif,
+                video: active.video,
+                transform: { ...active.transform }
+            } : null;
+            const layer = this.getUploadTargetLayer(options.newLayer);
+
+            const done = () => {
+                this.commitChange('photocard');
+                resolve();
+            };
+
+            const fail = (error) => {
+                // Put back the card that was being replaced (a GIF is shown from its first frame)
+                if (layer === active && previous) {
+                    Object.assign(layer, previous);
+                    this.canvas.classList.toggle('placeholder-active', this.isPlaceholder);
+                    this.startTimeline();
+                    this.render();
+                }
+
+                // Drop a freshly added layer that never received media
+                const index = this.photocardLayers.indexOf(layer);
+                if (layer !== active && index !== -1 && this.photocardLayers.length > 1) {
+                    this.photocardLayers.splice(index, 1);
+                    this.activeLayerIndex = Math.min(this.activeLayerIndex, this.photocardLayers.length - 1);
+                    this.render();
+                }
+                this.notifyLayersChanged();
+                reject(error);
+            };
+
             // Check if it's a video
             if (file.type.startsWith('video/')) {
-                this.loadPhotocardVideo(file).then(resolve).catch(reject);
+                this.loadPhotocardVideo(file, layer).then(done).catch(fail);
                 return;
             }
 
-            // Check if it's a GIF
-            if (file.type === 'image/gif') {
-                this.loadPhotocardGif(file).then(resolve).catch(reject);
-                return;
-            }
+            // Check if it's a GIF, APNG or animated WebP
+            this.isAnimatedImage(file).then(animated => {
+                const load = animated ? this.loadPhotocardGif(file, layer, options) : this.loadPhotocardImage(file, layer);
+                return load.then(done);
+            }).catch(fail);
+        });
+    },
 
+    /**
+     * Load a still photocard image into a layer
+     */
+    loadPhotocardImage(file, layer) {
+        return new Promise((resolve, reject) => {
             const reader = new FileReader();
 
             reader.onload = (e) => {
                 const img = new Image();
                 img.onload = () => {
-                    this.photocardImage = img;
-                    this.isPlaceholder = false;
-                    this.photocardGif.isGif = false;
-                    this.photocardVideo.isVideo = false;
+                    layer.image = img;
+                    layer.isPlaceholder = false;
+                    layer.gif.isGif = false;
+                    layer.video.isVideo = false;
 
                     // Remove placeholder-active class
                     this.canvas.classList.remove('placeholder-active');
@@ -1059,11 +1661,9 @@ const CanvasManager = {
                     this.canvas.style.cursor = 'grab';
 
                     // Center photocard on canvas
-                    const rect = this.canvas.getBoundingClientRect();
-                    this.photocard.x = rect.width / 2;
-                    this.photocard.y = rect.height / 2;
-                    this.photocard.scale = Math.min(rect.width, rect.height) / (img.width * 1.5);
+                    this.placePhotocardLayer(layer, img.width);
 
+                    this.notifyLayersChanged();
                     this.render();
                     resolve();
                 };
@@ -1077,42 +1677,49 @@ const CanvasManager = {
     },
 
     /**
-     * Load photocard GIF and parse frames
+     * Load photocard GIF (or APNG / animated WebP) and parse frames
+     * The card is shown as soon as the first frame is decoded and the rest stream in behind it
      */
-    async loadPhotocardGif(file) {
+    async loadPhotocardGif(file, layer = this.ensureActiveLayer(), options = {}) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
 
             reader.onload = async (e) => {
                 try {
                     const arrayBuffer = e.target.result;
-                    const gif = await this.parseGif(arrayBuffer);
-
-                    this.photocardGif.isGif = true;
-                    this.photocardGif.frames = gif.frames;
-                    this.photocardGif.delays = gif.delays;
-                    this.photocardGif.currentFrame = 0;
-                    this.photocardGif.lastFrameTime = performance.now();
-
-                    this.photocardImage = gif.frames[0];
-                    this.isPlaceholder = false;
-
-                    this.canvas.classList.remove('placeholder-active');
-                    this.canvas.style.cursor = 'grab';
-
-                    const rect = this.canvas.getBoundingClientRect();
-                    this.photocard.x = rect.width / 2;
-                    this.photocard.y = rect.height / 2;
-                    this.photocard.scale = Math.min(rect.width, rect.height) / (gif.frames[0].width * 1.5);
-
-                    this.startPhotocardGifAnimation();
-                    this.render();
-                    resolve();
-                } catch (error) {
-                    console.error('Error parsing GIF:', error);
-                    reject(error);
-                }
-            };
+                    await this.parseAnimation(file, arrayBuffer, {
+                        ...options,
+                        onFirstFrame: (gif) => {
+                            this.pauseVideo(layer.video);
+                            layer.video = this.createVideoState();
+                            layer.gif = Object.assign(this.createGifState(), {
+                                isGif: true,
+                                frames: gif.frames,
+                                delays: gif.delays,
+                                originalFile: file
+                            });
+
+                            layer.image = gif.frames[0];
+                            layer.isPlaceholder = false;
+
+                            this.canvas.classList.remove('placeholder-active');
+                            this.canvas.style.cursor = 'grab';
+
+                            this.placePhotocardLayer(layer, gif.frames[0].width);
+
+                            this.startTimeline();
+                            this.notifyLayersChanged();
+                            this.render();
+                        }
+                    });
+                    resolve();
+                } catch (error) {
+                    if (error.name !== 'AbortError') {
+                        console.error('Error parsing animation:', error);
+                    }
+                    reject(error);
+                }
+            };
 
             reader.onerror = reject;
             reader.readAsArrayBuffer(file);
@@ -1122,7 +1729,7 @@ const CanvasManager = {
     /**
      * Load photocard video
      */
-    async loadPhotocardVideo(file) {
+    async loadPhotocardVideo(file, layer = this.ensureActiveLayer()) {
         return new Promise((resolve, reject) => {
             const video = document.createElement('video');
             video.muted = true;
@@ -1135,11 +1742,11 @@ const CanvasManager = {
 
             video.onloadedmetadata = () => {
                 // Store the video element
-                this.photocardVideo.isVideo = true;
-                this.photocardVideo.element = video;
-                this.photocardVideo.originalFile = file;
-                this.photocardGif.isGif = false;
-                this.isPlaceholder = false;
+                layer.video.isVideo = true;
+                layer.video.element = video;
+                layer.video.originalFile = file;
+                layer.gif.isGif = false;
+                layer.isPlaceholder = false;
 
                 // Create an image from the first frame for initial display
                 video.currentTime = 0;
@@ -1151,19 +1758,17 @@ const CanvasManager = {
                 initialized = true;
 
                 // Video is ready at first frame
-                this.photocardImage = video;
+                layer.image = video;
 
                 this.canvas.classList.remove('placeholder-active');
                 this.canvas.style.cursor = 'grab';
 
-                const rect = this.canvas.getBoundingClientRect();
-                this.photocard.x = rect.width / 2;
-                this.photocard.y = rect.height / 2;
-                this.photocard.scale = Math.min(rect.width, rect.height) / (video.videoWidth * 1.5);
+                this.placePhotocardLayer(layer, video.videoWidth);
 
                 // Start video playback and animation
                 video.play().then(() => {
-                    this.startPhotocardVideoAnimation();
+                    this.startTimeline();
+                    this.notifyLayersChanged();
                     this.render();
                     resolve();
                 }).catch(reject);
@@ -1178,343 +1783,726 @@ const CanvasManager = {
         });
     },
 
+    /**
+     * Check whether an image file is animated: GIFs always go through the frame pipeline,
+     * PNG and WebP only when they hold an animation
+     */
+    async isAnimatedImage(file) {
+        if (file.type === 'image/gif') return true;
+        if (!['image/png', 'image/apng', 'image/webp'].includes(file.type)) return false;
+
+        return await AnimatedImage.getFileAnimationType(file) !== null;
+    },
+
+    /**
+     * Parse a GIF, APNG or animated WebP into frames (see parseGif() for the options)
+     */
+    parseAnimation(file, arrayBuffer, options = {}) {
+        if (file.type === 'image/gif') {
+            return this.parseGif(arrayBuffer, options);
+        }
+        return this.parseAnimatedImage(arrayBuffer, options);
+    },
+
     /**
      * Parse GIF file into frames
+     * Frames are composited on the GIF's logical screen, so each one is the full picture as shown.
+     * Decoding runs in a worker when the browser allows it and frames are handed over as they
+     * arrive: the returned arrays grow until the promise settles.
+     * @param {ArrayBuffer} arrayBuffer - GIF file contents
+     * @param {Object} options - { onFirstFrame(gif): show the GIF early, onProgress(decoded, total), signal: AbortSignal }
+     * @returns {Promise<Object>} { frames: (ImageBitmap|Image)[], delays: ms[] }
+     */
+    parseGif(arrayBuffer, options = {}) {
+        if (options.signal && options.signal.aborted) {
+            return Promise.reject(this.createAbortError());
+        }
+
+        if (typeof Worker !== 'undefined' && typeof createImageBitmap !== 'undefined') {
+            return this.parseGifInWorker(arrayBuffer, options);
+        }
+
+        return this.parseGifOnMainThread(arrayBuffer, options);
+    },
+
+    /**
+     * Decode a GIF in the decoder worker, which streams composited frames back as ImageBitmaps
+     * Falls back to the main thread when the worker can't start (e.g. pages opened from file://)
      */
-    async parseGif(arrayBuffer) {
+    parseGifInWorker(arrayBuffer, options) {
+        let worker;
+        try {
+            worker = new Worker(this.gifWorkerUrl);
+        } catch (error) {
+            console.warn('GIF worker unavailable, decoding on the main thread:', error);
+            return this.parseGifOnMainThread(arrayBuffer, options);
+        }
+
         return new Promise((resolve, reject) => {
-            try {
-                // Check if gifuct-js is available - try multiple possible export names
-                let gifuctLib = null;
-
-                if (typeof window.gifuct !== 'undefined') {
-                    gifuctLib = window.gifuct;
-                } else if (typeof gifuct !== 'undefined') {
-                    gifuctLib = gifuct;
-                } else if (typeof window.GifuctJs !== 'undefined') {
-                    gifuctLib = window.GifuctJs;
-                }
+            const signal = options.signal;
+            const gif = { frames: [], delays: [] };
+            let total = 0;
 
-                // If gifuct is available, use it
-                if (gifuctLib) {
-                    console.log('Parsing GIF with gifuct-js');
-                    const gif = gifuctLib.parseGIF(arrayBuffer);
-                    const frames = gifuctLib.decompressFrames(gif, true);
+            const onAbort = () => {
+                finish();
+                reject(this.createAbortError());
+            };
 
-                    console.log(`GIF parsed: ${frames.length} frames`);
+            const finish = () => {
+                worker.terminate();
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
 
-                    return this.processGifuctFrames(frames, resolve, reject);
+            worker.onmessage = (e) => {
+                const message = e.data;
+
+                if (message.type === 'info') {
+                    total = message.total;
+                    console.log(`GIF parsed: ${total} frames, ${message.width}x${message.height}`);
+                } else if (message.type === 'frame') {
+                    gif.frames.push(message.bitmap);
+                    gif.delays.push(message.delay);
+                    this.reportGifFrame(gif, total, options);
+                } else if (message.type === 'done') {
+                    finish();
+                    resolve(gif);
+                } else if (message.type === 'error') {
+                    finish();
+                    reject(new Error(message.message));
                 }
+            };
 
-                // Fallback to omggif if available
-                if (typeof window.GifReader !== 'undefined') {
-                    console.log('Parsing GIF with omggif (fallback)');
-                    return this.parseGifWithOmggif(arrayBuffer, resolve, reject);
+            // The worker script or its GIF library failed to load
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish();
+
+                if (gif.frames.length > 0) {
+                    reject(new Error('GIF decoding failed'));
+                    return;
                 }
 
-                // No GIF library available
-                console.error('GIF parser library not loaded. Available globals:', Object.keys(window).filter(k => k.toLowerCase().includes('gif')));
-                reject(new Error('GIF parser library not loaded. Please reload the page.'));
-            } catch (error) {
-                console.error('Error parsing GIF:', error);
-                reject(error);
-            }
+                console.warn('GIF worker failed to start, decoding on the main thread');
+                this.parseGifOnMainThread(arrayBuffer, options).then(resolve, reject);
+            };
+
+            if (signal) signal.addEventListener('abort', onAbort);
+
+            // Copied rather than transferred, so the main thread can still fall back to it
+            worker.postMessage({ buffer: arrayBuffer });
         });
     },
 
     /**
-     * Process frames from gifuct-js
+     * Decode a GIF on the main thread, yielding between frames
      */
-    processGifuctFrames(frames, resolve, reject) {
-        try {
+    async parseGifOnMainThread(arrayBuffer, options) {
+        const decoded = GifDecoder.decode(arrayBuffer);
+        const { width, height, frames } = decoded;
+        const screen = GifDecoder.createScreen(width, height);
+        const gif = { frames: [], delays: [] };
 
-            if (frames.length === 0) {
-                reject(new Error('GIF has no frames'));
-                return;
+        console.log(`GIF parsed: ${frames.length} frames, ${width}x${height}`);
+
+        for (const frame of frames) {
+            const image = await this.createGifFrameImage(GifDecoder.composeFrame(screen, frame), width, height);
+
+            if (options.signal && options.signal.aborted) {
+                throw this.createAbortError();
             }
 
-            const imageFrames = [];
-            const delays = [];
+            gif.frames.push(image);
+            gif.delays.push(frame.delay);
+            this.reportGifFrame(gif, frames.length, options);
+        }
+
+        return gif;
+    },
+
+    /**
+     * Hand a newly decoded frame to the loader's callbacks
+     */
+    reportGifFrame(gif, total, options) {
+        if (gif.frames.length === 1 && options.onFirstFrame) {
+            options.onFirstFrame(gif);
+        }
+        if (options.onProgress) {
+            options.onProgress(gif.frames.length, total);
+        }
+    },
+
+    /**
+     * Error used when a load or export is cancelled through its AbortSignal
+     */
+    createAbortError(message = 'Loading was cancelled') {
+        return new DOMException(message, 'AbortError');
+    },
+
+    /**
+     * Turn composited RGBA pixels into an Image
+     */
+    createGifFrameImage(pixels, width, height) {
+        const frameCanvas = document.createElement('canvas');
+        frameCanvas.width = width;
+        frameCanvas.height = height;
+        const frameCtx = frameCanvas.getContext('2d');
 
-            // Get GIF dimensions from first frame
-            const gifWidth = frames[0].dims.width;
-            const gifHeight = frames[0].dims.height;
+        const imageData = frameCtx.createImageData(width, height);
+        imageData.data.set(pixels);
+        frameCtx.putImageData(imageData, 0, 0);
 
-            // Create a persistent canvas for composition
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = gifWidth;
-            tempCanvas.height = gifHeight;
-            const tempCtx = tempCanvas.getContext('2d');
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Failed to load GIF frame'));
+            img.src = frameCanvas.toDataURL('image/png');
+        });
+    },
 
-            // Convert each frame to an Image object
-            let loadedFrames = 0;
+    /**
+     * Parse an APNG or animated WebP into frames
+     * The browser decodes each frame's still image; they are composited here with their
+     * blend and disposal so every frame is the full picture, transparency included
+     * @param {ArrayBuffer} arrayBuffer - File contents
+     * @param {Object} options - See parseGif()
+     * @returns {Promise<Object>} { frames: (ImageBitmap|Image)[], delays: ms[] }
+     */
+    async parseAnimatedImage(arrayBuffer, options = {}) {
+        const decoded = AnimatedImage.parse(new Uint8Array(arrayBuffer));
+        const screen = document.createElement('canvas');
+        screen.width = decoded.width;
+        screen.height = decoded.height;
+        const screenCtx = screen.getContext('2d');
+        const gif = { frames: [], delays: [] };
 
-            frames.forEach((frame, index) => {
-                // Never clear - accumulate frames to avoid transparency
-                // Draw the current frame patch
-                const imageData = tempCtx.createImageData(frame.dims.width, frame.dims.height);
-                imageData.data.set(frame.patch);
-                tempCtx.putImageData(imageData, frame.dims.left, frame.dims.top);
+        console.log(`Animation parsed: ${decoded.frames.length} frames, ${decoded.width}x${decoded.height}`);
 
-                // Convert to Image
-                const img = new Image();
-                img.onload = () => {
-                    loadedFrames++;
-                    if (loadedFrames === frames.length) {
-                        console.log('All GIF frames loaded successfully');
-                        resolve({ frames: imageFrames, delays });
-                    }
-                };
-                img.onerror = (error) => {
-                    console.error('Failed to load GIF frame:', error);
-                    reject(new Error(`Failed to load GIF frame ${index}`));
-                };
+        for (const frame of decoded.frames) {
+            const image = await this.decodeImageBlob(frame.blob);
 
-                img.src = tempCanvas.toDataURL('image/png');
-                imageFrames[index] = img;
-                delays[index] = (frame.delay || 10) * 10;
-            });
-        } catch (error) {
-            reject(error);
+            if (options.signal && options.signal.aborted) {
+                throw this.createAbortError();
+            }
+
+            const previous = frame.disposal === 'previous'
+                ? screenCtx.getImageData(frame.left, frame.top, frame.width, frame.height)
+                : null;
+
+            if (frame.blend === 'source') {
+                screenCtx.clearRect(frame.left, frame.top, frame.width, frame.height);
+            }
+            screenCtx.drawImage(image, frame.left, frame.top);
+
+            gif.frames.push(await this.createFrameSnapshot(screen));
+            gif.delays.push(frame.delay);
+            this.reportGifFrame(gif, decoded.frames.length, options);
+
+            if (frame.disposal === 'background') {
+                screenCtx.clearRect(frame.left, frame.top, frame.width, frame.height);
+            } else if (previous) {
+                screenCtx.putImageData(previous, frame.left, frame.top);
+            }
+        }
+
+        if (gif.frames.length === 0) {
+            throw new Error('Animation has no frames');
         }
+
+        return gif;
     },
 
     /**
-     * Parse GIF using omggif library (fallback)
+     * Decode a still image file
      */
-    parseGifWithOmggif(arrayBuffer, resolve, reject) {
-        try {
-            const bytes = new Uint8Array(arrayBuffer);
-            const reader = new window.GifReader(bytes);
+    decodeImageBlob(blob) {
+        if (typeof createImageBitmap !== 'undefined') {
+            return createImageBitmap(blob);
+        }
+
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Failed to decode animation frame'));
+            };
+            img.src = url;
+        });
+    },
 
-            const imageFrames = [];
-            const delays = [];
-            const width = reader.width;
-            const height = reader.height;
+    /**
+     * Copy what a canvas shows into a frame image
+     */
+    createFrameSnapshot(canvas) {
+        if (typeof createImageBitmap !== 'undefined') {
+            return createImageBitmap(canvas);
+        }
 
-            console.log(`GIF parsed with omggif: ${reader.numFrames()} frames, ${width}x${height}`);
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Failed to load animation frame'));
+            img.src = canvas.toDataURL('image/png');
+        });
+    },
 
-            // Create a persistent canvas for composition
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = width;
-            tempCanvas.height = height;
-            const tempCtx = tempCanvas.getContext('2d');
+    /**
+     * Start the shared playback loop
+     * Every GIF and video is driven from timeline.time, so they never drift apart
+     * and the exports (which sample the same clock) match the preview
+     */
+    startTimeline() {
+        if (this.timeline.animationFrame) return;
 
-            let loadedFrames = 0;
+        this.timeline.lastTick = null;
+        this.timeline.animationFrame = requestAnimationFrame(now => this.tickTimeline(now));
+    },
 
-            for (let i = 0; i < reader.numFrames(); i++) {
-                const frameInfo = reader.frameInfo(i);
-                const framePixels = new Uint8ClampedArray(width * height * 4);
-                reader.decodeAndBlitFrameRGBA(i, framePixels);
+    tickTimeline(now) {
+        const timeline = this.timeline;
+        timeline.animationFrame = null;
 
-                // Create ImageData and draw to canvas (accumulate, don't clear)
-                const imageData = tempCtx.createImageData(width, height);
-                imageData.data.set(framePixels);
-                tempCtx.putImageData(imageData, 0, 0);
+        // Nothing animated left - let the loop end until new media starts it again
+        if (!this.hasVideo() && !this.hasGifAnimation()) {
+            timeline.time = 0;
+            this.notifyTimelineChanged();
+            return;
+        }
 
-                // Convert to Image
-                const img = new Image();
-                img.onload = () => {
-                    loadedFrames++;
-                    if (loadedFrames === reader.numFrames()) {
-                        console.log('All GIF frames loaded successfully (omggif)');
-                        resolve({ frames: imageFrames, delays });
-                    }
-                };
-                img.onerror = (error) => {
-                    console.error('Failed to load GIF frame:', error);
-                    reject(new Error(`Failed to load GIF frame ${i}`));
-                };
+        // An export is seeking the videos - hold the editor on its last frame until it's done
+        if (timeline.suspended > 0) {
+            timeline.lastTick = null;
+            timeline.animationFrame = requestAnimationFrame(next => this.tickTimeline(next));
+            return;
+        }
 
-                img.src = tempCanvas.toDataURL('image/png');
-                imageFrames[i] = img;
-                delays[i] = (frameInfo.delay || 10) * 10;
-            }
-        } catch (error) {
-            console.error('Error parsing GIF with omggif:', error);
-            reject(error);
+        if (timeline.playing && timeline.lastTick !== null) {
+            this.setTimelineTime(timeline.time + now - timeline.lastTick);
         }
+        timeline.lastTick = now;
+
+        this.syncMediaToTimeline();
+        this.render();
+        this.notifyTimelineChanged();
+
+        timeline.animationFrame = requestAnimationFrame(next => this.tickTimeline(next));
     },
 
     /**
-     * Start photocard GIF animation
+     * Length of the timeline in ms - the longest trimmed video, else the common loop of the GIFs
      */
-    startPhotocardGifAnimation() {
-        if (!this.photocardGif.isGif || this.photocardGif.frames.length === 0) return;
+    getTimelineDuration() {
+        const videoLengths = this.getVideoSources()
+            .map(video => this.getVideoTrim(video).length * 1000)
+            .filter(length => length > 0);
+        if (videoLengths.length > 0) {
+            return Math.max(...videoLengths);
+        }
 
-        const animate = (currentTime) => {
-            if (!this.photocardGif.isGif) return;
+        return this.getGifLoopDuration();
+    },
 
-            const elapsed = currentTime - this.photocardGif.lastFrameTime;
-            const delay = this.photocardGif.delays[this.photocardGif.currentFrame];
+    setTimelineTime(time) {
+        const duration = this.getTimelineDuration();
+        this.timeline.time = duration > 0 ? ((time % duration) + duration) % duration : 0;
+    },
 
-            if (elapsed >= delay) {
-                this.photocardGif.currentFrame = (this.photocardGif.currentFrame + 1) % this.photocardGif.frames.length;
-                this.photocardImage = this.photocardGif.frames[this.photocardGif.currentFrame];
-                this.photocardGif.lastFrameTime = currentTime;
-                this.render();
-            }
+    playTimeline() {
+        this.timeline.playing = true;
+        this.timeline.lastTick = null;
+        this.startTimeline();
+        this.notifyTimelineChanged();
+    },
 
-            this.photocardGif.animationFrame = requestAnimationFrame(animate);
-        };
+    pauseTimeline() {
+        this.timeline.playing = false;
+        this.syncMediaToTimeline();
+        this.notifyTimelineChanged();
+    },
+
+    toggleTimeline() {
+        if (this.timeline.playing) {
+            this.pauseTimeline();
+        } else {
+            this.playTimeline();
+        }
+    },
 
-        this.photocardGif.animationFrame = requestAnimationFrame(animate);
+    /**
+     * Jump to a time (ms) on the timeline
+     */
+    seekTimeline(time) {
+        this.setTimelineTime(time);
+        this.syncMediaToTimeline();
+        this.render();
+        this.notifyTimelineChanged();
     },
 
     /**
-     * Start background GIF animation
+     * Hand the videos over to an export that seeks them itself
+     * The editor stays on its current frame meanwhile; the clock picks up where it was
+     * Calls nest; every suspendTimeline() needs a matching resumeTimeline()
      */
-    startBackgroundGifAnimation() {
-        if (!this.backgroundGif.isGif || this.backgroundGif.frames.length === 0) return;
+    suspendTimeline() {
+        this.timeline.suspended++;
+    },
 
-        const animate = (currentTime) => {
-            if (!this.backgroundGif.isGif) return;
+    resumeTimeline() {
+        this.timeline.suspended = Math.max(0, this.timeline.suspended - 1);
+        if (this.timeline.suspended > 0) return;
 
-            const elapsed = currentTime - this.backgroundGif.lastFrameTime;
-            const delay = this.backgroundGif.delays[this.backgroundGif.currentFrame];
+        // Put the videos back where the preview was
+        this.timeline.lastTick = null;
+        this.syncMediaToTimeline();
+        this.render();
+    },
 
-            if (elapsed >= delay) {
-                this.backgroundGif.currentFrame = (this.backgroundGif.currentFrame + 1) % this.backgroundGif.frames.length;
-                this.backgroundImage = this.backgroundGif.frames[this.backgroundGif.currentFrame];
-                this.backgroundGif.lastFrameTime = currentTime;
-                this.render();
+    /**
+     * Show every source at the current timeline time
+     */
+    syncMediaToTimeline() {
+        const time = this.timeline.time;
+
+        if (this.backgroundGif.isGif && this.backgroundGif.frames.length > 0) {
+            this.backgroundGif.currentFrame = this.getGifFrameIndexAt(this.backgroundGif, time);
+            this.backgroundImage = this.backgroundGif.frames[this.backgroundGif.currentFrame];
+        }
+        this.photocardLayers.forEach(layer => {
+            if (layer.gif.isGif && layer.gif.frames.length > 0) {
+                layer.gif.currentFrame = this.getGifFrameIndexAt(layer.gif, time);
+                layer.image = layer.gif.frames[layer.gif.currentFrame];
             }
+        });
 
-            this.backgroundGif.animationFrame = requestAnimationFrame(animate);
-        };
+        if (this.timeline.suspended > 0) return;
+        this.getVideoSources().forEach(video => this.syncVideoToTimeline(video, time));
+    },
+
+    /**
+     * Keep a video on the timeline
+     * Playing videos decode on their own and are only corrected when they drift,
+     * paused ones are seeked to the exact frame
+     */
+    syncVideoToTimeline(video, time) {
+        const element = video.element;
+        if (element.seeking) return;
+
+        const target = this.getVideoTimeAt(video, time / 1000);
+        const drift = Math.abs(element.currentTime - target);
+
+        if (this.timeline.playing) {
+            if (element.paused) {
+                element.play().catch(err => {
+                    console.warn('Could not play video:', err);
+                });
+            }
+            if (drift > this.timelineDriftTolerance) {
+                element.currentTime = target;
+            }
+        } else {
+            if (!element.paused) {
+                element.pause();
+            }
+            if (drift > 0.001) {
+                element.currentTime = target;
+            }
+        }
+    },
 
-        this.backgroundGif.animationFrame = requestAnimationFrame(animate);
+    /**
+     * Position in a video (seconds) for a time on the timeline (seconds)
+     * The video starts at its in point and wraps at its out point
+     */
+    getVideoTimeAt(video, time) {
+        const { start, length } = this.getVideoTrim(video);
+        return length ? start + time % length : start;
     },
 
     /**
-     * Stop photocard GIF animation
+     * Pause a video that leaves the composition
      */
-    stopPhotocardGifAnimation() {
-        if (this.photocardGif.animationFrame) {
-            cancelAnimationFrame(this.photocardGif.animationFrame);
-            this.photocardGif.animationFrame = null;
+    pauseVideo(video) {
+        if (video.element) {
+            video.element.pause();
         }
     },
 
     /**
-     * Stop background GIF animation
+     * Let the UI know the timeline moved or changed state
      */
-    stopBackgroundGifAnimation() {
-        if (this.backgroundGif.animationFrame) {
-            cancelAnimationFrame(this.backgroundGif.animationFrame);
-            this.backgroundGif.animationFrame = null;
+    notifyTimelineChanged() {
+        if (window.UIManager && window.UIManager.handleTimelineChanged) {
+            window.UIManager.handleTimelineChanged();
         }
     },
 
     /**
-     * Start photocard video animation
+     * In/out points of a video in seconds, with the open end resolved
      */
-    startPhotocardVideoAnimation() {
-        if (!this.photocardVideo.isVideo || !this.photocardVideo.element) return;
+    getVideoTrim(video) {
+        const duration = video.element && isFinite(video.element.duration) ? video.element.duration : 0;
+        const end = video.trim.end === null ? duration : Math.min(video.trim.end, duration);
+        const start = Math.min(video.trim.start, Math.max(0, end - this.minTrimLength));
 
-        const animate = () => {
-            if (!this.photocardVideo.isVideo) return;
+        return { start, end, length: Math.max(0, end - start) };
+    },
 
-            this.render();
-            this.photocardVideo.animationFrame = requestAnimationFrame(animate);
+    /**
+     * Move a video's in or out point
+     * @param {Object} video - Video state (background or photocard layer)
+     * @param {string} edge - 'start' or 'end'
+     * @param {number} value - Time in seconds
+     */
+    updateVideoTrim(video, edge, value) {
+        if (!video.isVideo || !video.element) return;
+
+        const duration = isFinite(video.element.duration) ? video.element.duration : 0;
+        const { start, end } = this.getVideoTrim(video);
+        const trim = { start, end };
+
+        if (edge === 'start') {
+            trim.start = Math.max(0, Math.min(value, end - this.minTrimLength));
+        } else {
+            trim.end = Math.min(duration, Math.max(value, start + this.minTrimLength));
+        }
+
+        // Keep an untouched out point open so it follows the full clip
+        video.trim = {
+            start: trim.start,
+            end: trim.end >= duration ? null : trim.end
         };
 
-        this.photocardVideo.animationFrame = requestAnimationFrame(animate);
+        // Show the frame at the edge being moved (a little before the out point so the loop is visible)
+        const length = trim.end - trim.start;
+        this.seekTimeline(edge === 'start' ? 0 : Math.max(0, length - 1) * 1000);
+        this.commitChange('trim', { coalesce: true });
+    },
+
+    updateBackgroundTrim(edge, value) {
+        this.updateVideoTrim(this.backgroundVideo, edge, value);
+    },
+
+    updatePhotocardTrim(edge, value) {
+        const layer = this.getActiveLayer();
+        if (!layer) return;
+        this.updateVideoTrim(layer.video, edge, value);
     },
 
     /**
-     * Stop photocard video animation
+     * Render the canvas
      */
-    stopPhotocardVideoAnimation() {
-        if (this.photocardVideo.animationFrame) {
-            cancelAnimationFrame(this.photocardVideo.animationFrame);
-            this.photocardVideo.animationFrame = null;
-        }
-        if (this.photocardVideo.element) {
-            this.photocardVideo.element.pause();
+    render() {
+        // Use actual canvas dimensions (accounting for DPR scaling applied in resizeCanvas)
+        const scene = this.getSceneSize();
+
+        // The editor shows the whole scene; the context already carries the DPR scale
+        this.renderScene(this.ctx, scene, null, {
+            region: { x: 0, y: 0, width: scene.width, height: scene.height },
+            camera: true,
+            opaque: true
+        });
+
+        // Draw crop overlay (after everything else)
+        this.drawCropOverlay();
+    },
+
+    /**
+     * Size of the editing scene in CSS pixels
+     * All transforms (background offset, photocard position, crop bounds) live in this space
+     */
+    getSceneSize() {
+        const dpr = window.devicePixelRatio || 1;
+        return {
+            width: this.canvas.width / dpr,
+            height: this.canvas.height / dpr
+        };
+    },
+
+    /**
+     * Part of the scene that ends up in an export (the crop area, or everything)
+     */
+    getExportRegion() {
+        if (this.crop.enabled) {
+            return { ...this.crop.bounds };
         }
+        const scene = this.getSceneSize();
+        return { x: 0, y: 0, width: scene.width, height: scene.height };
     },
 
     /**
-     * Start background video animation
+     * Pixel size of an export
+     * @param {string} size - 'screen' (editor resolution), 'native' (background at 1:1) or 'WIDTHxHEIGHT' (fit inside that box)
+     * @param {Object} region - Scene rect being exported
+     * @param {number} scale - Extra downscale applied on top of the size (used to meet file size budgets)
+     * @returns {Object} { width, height } in pixels, keeping the region's aspect ratio
      */
-    startBackgroundVideoAnimation() {
-        if (!this.backgroundVideo.isVideo || !this.backgroundVideo.element) return;
+    getExportSize(size = 'screen', region = this.getExportRegion(), scale = 1) {
+        const dpr = window.devicePixelRatio || 1;
+        let pixelScale = dpr;
 
-        const animate = () => {
-            if (!this.backgroundVideo.isVideo) return;
+        if (size === 'native') {
+            pixelScale = this.getBackgroundPixelScale() || dpr;
+        } else if (typeof size === 'string' && /^\d+x\d+$/.test(size)) {
+            const [boxWidth, boxHeight] = size.split('x').map(Number);
+            pixelScale = Math.min(boxWidth / region.width, boxHeight / region.height);
+        }
 
-            this.render();
-            this.backgroundVideo.animationFrame = requestAnimationFrame(animate);
+        // Stay within what the browser can allocate
+        pixelScale = Math.min(
+            pixelScale * scale,
+            this.maxExportDimension / Math.max(region.width, region.height),
+            Math.sqrt(this.maxExportArea / (region.width * region.height))
+        );
+
+        return {
+            width: Math.max(1, Math.round(region.width * pixelScale)),
+            height: Math.max(1, Math.round(region.height * pixelScale))
         };
+    },
+
+    /**
+     * Output pixels per scene pixel at which the background is drawn at its native resolution
+     */
+    getBackgroundPixelScale() {
+        if (!this.backgroundImage) return null;
+
+        const image = this.backgroundImage;
+        const imgWidth = image.videoWidth || image.width;
+        const cover = this.getCoverSize(image, this.getSceneSize());
 
-        this.backgroundVideo.animationFrame = requestAnimationFrame(animate);
+        return imgWidth / (cover.width * this.background.scale);
     },
 
     /**
-     * Stop background video animation
+     * Size at which an image covers the scene before the background transform is applied
      */
-    stopBackgroundVideoAnimation() {
-        if (this.backgroundVideo.animationFrame) {
-            cancelAnimationFrame(this.backgroundVideo.animationFrame);
-            this.backgroundVideo.animationFrame = null;
-        }
-        if (this.backgroundVideo.element) {
-            this.backgroundVideo.element.pause();
+    getCoverSize(image, scene) {
+        const imgWidth = image.videoWidth || image.width;
+        const imgHeight = image.videoHeight || image.height;
+        const imgRatio = imgWidth / imgHeight;
+        const canvasRatio = scene.width / scene.height;
+
+        if (imgRatio > canvasRatio) {
+            return { width: scene.height * imgRatio, height: scene.height };
         }
+        return { width: scene.width, height: scene.width / imgRatio };
     },
 
     /**
-     * Render the canvas
+     * Draw the composition onto a context - shared by the editor and every export
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} size - { width, height } of the output, in the context's units
+     * @param {number|null} time - Animation time in ms for GIF media, null to draw the frames currently shown
+     * @param {Object} options - { region: scene rect mapped onto the output (defaults to the export region), camera: draw the live camera feed,
+     *     opaque: fill with backgroundColor first, for targets without alpha }
      */
-    render() {
-        // Use actual canvas dimensions (accounting for DPR scaling applied in resizeCanvas)
-        const dpr = window.devicePixelRatio || 1;
-        const width = this.canvas.width / dpr;
-        const height = this.canvas.height / dpr;
+    renderScene(ctx, size, time = null, options = {}) {
+        const scene = this.getSceneSize();
+        const region = options.region || this.getExportRegion();
+
+        ctx.save();
+
+        // Targets without alpha (the editor, JPEG, GIF, video) get the background colour;
+        // the rest keep whatever the composition leaves uncovered transparent
+        if (options.opaque) {
+            ctx.fillStyle = this.backgroundColor;
+            ctx.fillRect(0, 0, size.width, size.height);
+        } else {
+            ctx.clearRect(0, 0, size.width, size.height);
+        }
 
-        // Clear canvas
-        this.ctx.clearRect(0, 0, width, height);
+        // Map the scene region onto the output
+        ctx.scale(size.width / region.width, size.height / region.height);
+        ctx.translate(-region.x, -region.y);
 
         // Draw camera feed if active
-        if (this.camera.active && this.camera.video) {
-            this.drawCameraFeed();
+        if (options.camera && this.camera.active && this.camera.video) {
+            this.drawCameraFeed(ctx, scene);
         }
         // Otherwise draw background image
         else if (this.backgroundImage) {
-            this.drawBackground();
+            this.drawBackground(ctx, scene, this.getMediaFrame(this.backgroundImage, this.backgroundGif, time));
         }
 
-        // Draw photocard (layer order)
-        if (this.photocardImage) {
-            if (this.photocard.layer === 'back') {
-                this.drawPhotocard();
-            }
-        }
+        // Draw photocards behind the border (stack order)
+        const drawOrder = this.getPhotocardDrawOrder();
+        drawOrder
+            .filter(layer => layer.transform.layer === 'back')
+            .forEach(layer => this.drawPhotocard(ctx, layer, time));
 
         // Draw border
         if (window.BorderManager) {
-            window.BorderManager.drawBorder(this.ctx, width, height);
+            window.BorderManager.drawBorder(ctx, scene.width, scene.height);
         }
 
-        // Draw photocard on top if layer is front
-        if (this.photocardImage && this.photocard.layer === 'front') {
-            this.drawPhotocard();
+        // Draw photocards on top of the border (stack order)
+        drawOrder
+            .filter(layer => layer.transform.layer !== 'back')
+            .forEach(layer => this.drawPhotocard(ctx, layer, time));
+
+        ctx.restore();
+    },
+
+    /**
+     * Pick the image to draw for a piece of media at a given time
+     * GIFs are looked up on their own timeline; stills and videos draw as they are
+     */
+    getMediaFrame(image, gif, time) {
+        if (time === null || !gif.isGif || gif.frames.length === 0) {
+            return image;
         }
+        return gif.frames[this.getGifFrameIndexAt(gif, time)];
+    },
 
-        // Draw crop overlay (after everything else)
-        this.drawCropOverlay();
+    /**
+     * Index of the GIF frame showing at a time (ms), looping the animation
+     */
+    getGifFrameIndexAt(gif, time) {
+        const total = this.getGifDuration(gif);
+        if (total <= 0) return 0;
+
+        let remaining = time % total;
+        for (let i = 0; i < gif.frames.length; i++) {
+            remaining -= gif.delays[i];
+            if (remaining < 0) return i;
+        }
+        return gif.frames.length - 1;
+    },
+
+    /**
+     * Length of one loop of a GIF in ms
+     */
+    getGifDuration(gif) {
+        return gif.delays.reduce((sum, delay) => sum + delay, 0);
+    },
+
+    /**
+     * Time (ms) after which all GIFs are back on their first frame together
+     * The least common multiple of their loop lengths, or the longest loop when that
+     * would run past maxGifLoopDuration
+     */
+    getGifLoopDuration(gifs = this.getGifSources()) {
+        const lengths = gifs.map(gif => Math.round(this.getGifDuration(gif))).filter(length => length > 0);
+        if (lengths.length === 0) return 0;
+
+        const gcd = (a, b) => b ? gcd(b, a % b) : a;
+        const common = lengths.reduce((a, b) => a / gcd(a, b) * b);
+
+        return common <= this.maxGifLoopDuration ? common : Math.max(...lengths);
     },
 
     /**
      * Draw camera feed
      */
-    drawCameraFeed() {
-        const dpr = window.devicePixelRatio || 1;
-        const width = this.canvas.width / dpr;
-        const height = this.canvas.height / dpr;
+    drawCameraFeed(ctx, scene) {
+        const width = scene.width;
+        const height = scene.height;
 
-        this.ctx.save();
+        ctx.save();
 
         // Calculate cover sizing for video
         const videoRatio = this.camera.video.videoWidth / this.camera.video.videoHeight;
@@ -1533,19 +2521,19 @@ const CanvasManager = {
         // Apply transformations (same as background)
         const centerX = width / 2 + this.background.x;
         const centerY = height / 2 + this.background.y;
-        this.ctx.translate(centerX, centerY);
+        ctx.translate(centerX, centerY);
 
         // Rotate
         const rotationRad = (this.background.rotation * Math.PI) / 180;
-        this.ctx.rotate(rotationRad);
+        ctx.rotate(rotationRad);
 
         // Scale with flip
         const scaleX = this.background.scale * (this.background.flipH ? -1 : 1);
         const scaleY = this.background.scale * (this.background.flipV ? -1 : 1);
-        this.ctx.scale(scaleX, scaleY);
+        ctx.scale(scaleX, scaleY);
 
         // Draw video centered
-        this.ctx.drawImage(
+        ctx.drawImage(
             this.camera.video,
             -baseWidth / 2,
             -baseHeight / 2,
@@ -1553,112 +2541,241 @@ const CanvasManager = {
             baseHeight
         );
 
-        this.ctx.restore();
+        ctx.restore();
     },
 
     /**
      * Draw background image
      */
-    drawBackground() {
-        const dpr = window.devicePixelRatio || 1;
-        const width = this.canvas.width / dpr;
-        const height = this.canvas.height / dpr;
+    drawBackground(ctx, scene, image = this.backgroundImage) {
+        const width = scene.width;
+        const height = scene.height;
 
-        this.ctx.save();
+        ctx.save();
 
         // Calculate default cover sizing
         // Handle both image and video elements
-        const imgWidth = this.backgroundImage.videoWidth || this.backgroundImage.width;
-        const imgHeight = this.backgroundImage.videoHeight || this.backgroundImage.height;
-        const imgRatio = imgWidth / imgHeight;
-        const canvasRatio = width / height;
-
-        let baseWidth, baseHeight;
-
-        if (imgRatio > canvasRatio) {
-            baseHeight = height;
-            baseWidth = height * imgRatio;
-        } else {
-            baseWidth = width;
-            baseHeight = width / imgRatio;
-        }
+        const { width: baseWidth, height: baseHeight } = this.getCoverSize(image, scene);
 
         // Apply transformations
         // Translate to center of canvas plus offset
         const centerX = width / 2 + this.background.x;
         const centerY = height / 2 + this.background.y;
-        this.ctx.translate(centerX, centerY);
+        ctx.translate(centerX, centerY);
 
         // Rotate
         const rotationRad = (this.background.rotation * Math.PI) / 180;
-        this.ctx.rotate(rotationRad);
+        ctx.rotate(rotationRad);
 
         // Scale with flip
         const scaleX = this.background.scale * (this.background.flipH ? -1 : 1);
         const scaleY = this.background.scale * (this.background.flipV ? -1 : 1);
-        this.ctx.scale(scaleX, scaleY);
+        ctx.scale(scaleX, scaleY);
 
         // Draw centered
-        this.ctx.drawImage(
-            this.backgroundImage,
+        ctx.drawImage(
+            image,
             -baseWidth / 2,
             -baseHeight / 2,
             baseWidth,
             baseHeight
         );
 
-        this.ctx.restore();
+        ctx.restore();
     },
 
     /**
-     * Draw photocard image with transformations
+     * Draw a photocard layer with its transformations
      */
-    drawPhotocard() {
-        this.ctx.save();
+    drawPhotocard(ctx, layer, time = null) {
+        if (!layer || !layer.image) return;
+
+        const image = this.getMediaFrame(layer.image, layer.gif, time);
+        const transform = layer.transform;
+        ctx.save();
 
         // Translate to photocard position
-        this.ctx.translate(this.photocard.x, this.photocard.y);
+        ctx.translate(transform.x, transform.y);
 
         // Rotate
-        this.ctx.rotate(this.photocard.rotation);
+        ctx.rotate(transform.rotation);
 
         // Scale
-        const scaleX = this.photocard.scale * (this.photocard.flipH ? -1 : 1);
-        const scaleY = this.photocard.scale * (this.photocard.flipV ? -1 : 1);
-        this.ctx.scale(scaleX, scaleY);
+        const scaleX = transform.scale * (transform.flipH ? -1 : 1);
+        const scaleY = transform.scale * (transform.flipV ? -1 : 1);
+        ctx.scale(scaleX, scaleY);
 
         // Draw image centered
         // Handle both image and video elements
-        const width = this.photocardImage.videoWidth || this.photocardImage.width;
-        const height = this.photocardImage.videoHeight || this.photocardImage.height;
-        this.ctx.drawImage(this.photocardImage, -width / 2, -height / 2, width, height);
+        const width = image.videoWidth || image.width;
+        const height = image.videoHeight || image.height;
+        ctx.drawImage(image, -width / 2, -height / 2, width, height);
 
         // Draw toploader overlay if enabled
-        if (this.photocard.showToploader) {
-            this.drawToploader(width, height);
+        if (transform.showToploader) {
+            this.drawToploader(ctx, width, height, transform.toploaderPreset);
         }
 
-        this.ctx.restore();
+        ctx.restore();
     },
 
     /**
      * Draw toploader overlay on the photocard
-     * Creates a realistic thick plastic sleeve with frame effect
+     * @param {number} width - Photocard image width in pixels
+     * @param {number} height - Photocard image height in pixels
+     * @param {string} presetId - Holder style, see ToploaderPresets
+     */
+    drawToploader(ctx, width, height, presetId) {
+        const presets = window.ToploaderPresets || ToploaderPresets;
+        const cfg = presets.getConfig(presetId);
+
+        // The config is in millimetres, so draw in millimetres
+        const pixelsPerMm = this.getToploaderPixelsPerMm(width, height, cfg);
+        const cardWidth = width / pixelsPerMm;
+        const cardHeight = height / pixelsPerMm;
+
+        ctx.save();
+        ctx.scale(pixelsPerMm, pixelsPerMm);
+
+        // Side loaders are the same sleeve turned so the opening faces right
+        const side = cfg.opening === 'side';
+        if (side) {
+            ctx.rotate(Math.PI / 2);
+        }
+        const shapeWidth = side ? cardHeight : cardWidth;
+        const shapeHeight = side ? cardWidth : cardHeight;
+
+        // Only the editor redraws often enough to need the bitmap; exports draw at full quality
+        const light = this.getToploaderLight(ctx, cfg);
+        const overlay = ctx === this.ctx
+            ? this.getToploaderOverlay(ctx, shapeWidth, shapeHeight, cfg, presetId, light)
+            : null;
+        if (overlay) {
+            ctx.drawImage(overlay.canvas, overlay.x, overlay.y, overlay.width, overlay.height);
+        } else {
+            this.drawToploaderShape(ctx, shapeWidth, shapeHeight, cfg, light);
+        }
+
+        ctx.restore();
+    },
+
+    /**
+     * Direction of the scene light in the toploader's own coordinates, so its
+     * glare stays put on screen however the card is turned or flipped
+     * The angle is rounded to cfg.lighting.angleStep, which lets turning a card
+     * reuse pre-rendered overlays
+     * @returns {Object} { x, y } unit vector towards the light, and its angle in degrees
+     */
+    getToploaderLight(ctx, cfg) {
+        const radians = this.getLightAngle() * Math.PI / 180;
+        let x = Math.sin(radians);
+        let y = -Math.cos(radians);
+
+        // Undo the card's rotation and flips (scaling doesn't change the direction)
+        if (typeof ctx.getTransform === 'function') {
+            const m = ctx.getTransform();
+            const det = m.a * m.d - m.b * m.c;
+            if (det !== 0) {
+                [x, y] = [(m.d * x - m.c * y) / det, (m.a * y - m.b * x) / det];
+            }
+        }
+
+        const step = Math.max(1, cfg.lighting.angleStep);
+        const angle = ((Math.round(Math.atan2(x, -y) * 180 / Math.PI / step) * step) % 360 + 360) % 360;
+        const rounded = angle * Math.PI / 180;
+
+        return { x: Math.sin(rounded), y: -Math.cos(rounded), angle };
+    },
+
+    /**
+     * Get the toploader for a card size pre-rendered to a bitmap, at about the
+     * resolution ctx will draw it at
+     * The resolution is rounded up to steps of √2, so zooming only re-renders
+     * the overlay now and then
+     * @param {Object} light - See getToploaderLight()
+     * @returns {Object|null} { canvas, x, y, width, height } in ctx units, or null
+     *     where the context can't tell its resolution or draws sharper than
+     *     maxToploaderOverlaySize allows
+     */
+    getToploaderOverlay(ctx, width, height, cfg, presetId, light) {
+        if (typeof ctx.getTransform !== 'function') return null;
+
+        const matrix = ctx.getTransform();
+        const scale = Math.hypot(matrix.a, matrix.b);
+        if (!(scale > 0)) return null;
+
+        // Everything the shape draws, with a millimetre of room for strokes on its outline
+        const margin = 1;
+        const overlap = cfg.dimensions.sideOverlap;
+        const x = -(width / 2) - overlap - margin;
+        const y = -(height / 2) - overlap - cfg.lip.height - margin;
+        const boundsWidth = width + overlap * 2 + margin * 2;
+        const boundsHeight = height + overlap + cfg.lip.height + cfg.dimensions.bottomOverlap + margin * 2;
+
+        // Past the largest bitmap the overlay would come out blurry, so draw the shape instead
+        const largest = this.maxToploaderOverlaySize / Math.max(boundsWidth, boundsHeight);
+        if (scale > largest) return null;
+        const resolution = Math.min(largest, Math.pow(Math.SQRT2, Math.ceil(Math.log2(scale) * 2)));
+
+        const key = [presetId, width.toFixed(3), height.toFixed(3), resolution.toFixed(3), light.angle].join('|');
+        let overlay = this.toploaderOverlayCache.get(key);
+
+        if (overlay) {
+            // Most recently used goes last
+            this.toploaderOverlayCache.delete(key);
+        } else {
+            const overlayCtx = this.createFrameContext(
+                Math.max(1, Math.ceil(boundsWidth * resolution)),
+                Math.max(1, Math.ceil(boundsHeight * resolution))
+            );
+            overlayCtx.scale(resolution, resolution);
+            overlayCtx.translate(-x, -y);
+            this.drawToploaderShape(overlayCtx, width, height, cfg, light);
+
+            // The bitmap was rounded up to whole pixels
+            const overlayCanvas = overlayCtx.canvas;
+            overlay = {
+                canvas: overlayCanvas,
+                x,
+                y,
+                width: overlayCanvas.width / resolution,
+                height: overlayCanvas.height / resolution
+            };
+
+            const toploaders = this.photocardLayers.filter(layer => layer.transform.showToploader).length;
+            if (this.toploaderOverlayCache.size >= Math.max(this.maxToploaderOverlays, toploaders)) {
+                this.toploaderOverlayCache.delete(this.toploaderOverlayCache.keys().next().value);
+            }
+        }
+
+        this.toploaderOverlayCache.set(key, overlay);
+        return overlay;
+    },
+
+    /**
+     * Image pixels per millimetre of a photocard
+     * Uses the area, so photocards cropped to a slightly different shape than
+     * cfg.cardSize (or turned sideways) still get a toploader of the same build
      */
-    drawToploader(width, height) {
-        // Get configuration values
-        const cfg = window.ToploaderConfig || ToploaderConfig;
+    getToploaderPixelsPerMm(width, height, cfg) {
+        const cardArea = Math.max(1, cfg.cardSize.width * cfg.cardSize.height);
+        return Math.sqrt((width * height) / cardArea) || 1;
+    },
 
+    /**
+     * Draw the toploader around a card of the given size, opening at the top
+     * Creates a realistic thick plastic sleeve with frame effect
+     * Sizes are in the units of cfg (millimetres)
+     * @param {Object} cfg - Toploader config, see ToploaderConfig
+     * @param {Object} light - { x, y } unit vector towards the light, see getToploaderLight()
+     */
+    drawToploaderShape(ctx, width, height, cfg, light = { x: 0, y: -1 }) {
         // Toploader dimensions - overlaps photocard significantly
         const overlap = cfg.dimensions.sideOverlap;
         const bottomOverlap = cfg.dimensions.bottomOverlap;
         const toploaderWidth = width + (overlap * 2);
         const toploaderHeight = height + overlap + bottomOverlap;
 
-        // Check if dimensions changed - if not, we can reuse cached gradients
-        const dimensionsChanged = this.toploaderGradientCache.cachedWidth !== width ||
-                                  this.toploaderGradientCache.cachedHeight !== height;
-
         const x = -(toploaderWidth / 2);
         const y = -(height / 2) - overlap;
         const topCornerRadius = cfg.corners.topRadius;
@@ -1666,112 +2783,99 @@ const CanvasManager = {
         const frameThicknessLeft = cfg.frame.leftThickness;
         const frameThicknessRight = cfg.frame.rightThickness;
 
-        this.ctx.save();
+        ctx.save();
 
         // Clip top to remove artifacts
-        this.ctx.beginPath();
-        this.ctx.rect(x, y + cfg.clipping.topClip, toploaderWidth, toploaderHeight - cfg.clipping.topClip);
-        this.ctx.clip();
+        ctx.beginPath();
+        ctx.rect(x, y + cfg.clipping.topClip, toploaderWidth, toploaderHeight - cfg.clipping.topClip);
+        ctx.clip();
 
         // Helper function to create rounded rectangle path
         const roundedRect = (x, y, w, h, radiusTop, radiusBottom) => {
-            this.ctx.beginPath();
-            this.ctx.moveTo(x + radiusTop, y);
-            this.ctx.lineTo(x + w - radiusTop, y);
-            this.ctx.arcTo(x + w, y, x + w, y + radiusTop, radiusTop);
-            this.ctx.lineTo(x + w, y + h - radiusBottom);
-            this.ctx.arcTo(x + w, y + h, x + w - radiusBottom, y + h, radiusBottom);
-            this.ctx.lineTo(x + radiusBottom, y + h);
-            this.ctx.arcTo(x, y + h, x, y + h - radiusBottom, radiusBottom);
-            this.ctx.lineTo(x, y + radiusTop);
-            this.ctx.arcTo(x, y, x + radiusTop, y, radiusTop);
-            this.ctx.closePath();
+            ctx.beginPath();
+            ctx.moveTo(x + radiusTop, y);
+            ctx.lineTo(x + w - radiusTop, y);
+            ctx.arcTo(x + w, y, x + w, y + radiusTop, radiusTop);
+            ctx.lineTo(x + w, y + h - radiusBottom);
+            ctx.arcTo(x + w, y + h, x + w - radiusBottom, y + h, radiusBottom);
+            ctx.lineTo(x + radiusBottom, y + h);
+            ctx.arcTo(x, y + h, x, y + h - radiusBottom, radiusBottom);
+            ctx.lineTo(x, y + radiusTop);
+            ctx.arcTo(x, y, x + radiusTop, y, radiusTop);
+            ctx.closePath();
         };
 
         // Left side white border with reflection gradient
         const topCurveStart = topCornerRadius * cfg.curves.topCurveStartPercent;
-        this.ctx.beginPath();
-        this.ctx.moveTo(x + topCurveStart, y);
-        this.ctx.arcTo(x, y, x, y + topCornerRadius, topCornerRadius);
-        this.ctx.lineTo(x, y + toploaderHeight - bottomCornerRadius);
-        this.ctx.arcTo(x, y + toploaderHeight, x + bottomCornerRadius, y + toploaderHeight, bottomCornerRadius);
-        this.ctx.lineTo(x + frameThicknessLeft + (bottomCornerRadius - frameThicknessLeft), y + toploaderHeight - frameThicknessLeft);
-        this.ctx.arcTo(x + frameThicknessLeft, y + toploaderHeight - frameThicknessLeft, x + frameThicknessLeft, y + toploaderHeight - frameThicknessLeft - (bottomCornerRadius - frameThicknessLeft), bottomCornerRadius - frameThicknessLeft);
-        this.ctx.lineTo(x + frameThicknessLeft, y + frameThicknessLeft + (topCornerRadius - frameThicknessLeft));
-        this.ctx.arcTo(x + frameThicknessLeft, y + frameThicknessLeft, x + frameThicknessLeft + (topCornerRadius - frameThicknessLeft) * cfg.curves.topCurveStartPercent, y + frameThicknessLeft, topCornerRadius - frameThicknessLeft);
-        this.ctx.lineTo(x + topCurveStart, y);
-        this.ctx.closePath();
-
-        // Create or reuse cached west gradient
-        let westGradient;
-        if (dimensionsChanged) {
-            westGradient = this.ctx.createLinearGradient(x, y, x + frameThicknessLeft * cfg.borders.west.widthMultiplier * cfg.borders.west.scaleFactor, y);
-            westGradient.addColorStop(0, `rgba(255, 255, 255, ${cfg.borders.west.startOpacity})`);
-            westGradient.addColorStop(1, `rgba(255, 255, 255, ${cfg.borders.west.endOpacity})`);
-            this.toploaderGradientCache.westGradient = westGradient;
-        } else {
-            westGradient = this.toploaderGradientCache.westGradient;
-        }
-        this.ctx.fillStyle = westGradient;
-        this.ctx.fill();
+        ctx.beginPath();
+        ctx.moveTo(x + topCurveStart, y);
+        ctx.arcTo(x, y, x, y + topCornerRadius, topCornerRadius);
+        ctx.lineTo(x, y + toploaderHeight - bottomCornerRadius);
+        ctx.arcTo(x, y + toploaderHeight, x + bottomCornerRadius, y + toploaderHeight, bottomCornerRadius);
+        ctx.lineTo(x + frameThicknessLeft + (bottomCornerRadius - frameThicknessLeft), y + toploaderHeight - frameThicknessLeft);
+        ctx.arcTo(x + frameThicknessLeft, y + toploaderHeight - frameThicknessLeft, x + frameThicknessLeft, y + toploaderHeight - frameThicknessLeft - (bottomCornerRadius - frameThicknessLeft), bottomCornerRadius - frameThicknessLeft);
+        ctx.lineTo(x + frameThicknessLeft, y + frameThicknessLeft + (topCornerRadius - frameThicknessLeft));
+        ctx.arcTo(x + frameThicknessLeft, y + frameThicknessLeft, x + frameThicknessLeft + (topCornerRadius - frameThicknessLeft) * cfg.curves.topCurveStartPercent, y + frameThicknessLeft, topCornerRadius - frameThicknessLeft);
+        ctx.lineTo(x + topCurveStart, y);
+        ctx.closePath();
+
+        const westGradient = ctx.createLinearGradient(x, y, x + frameThicknessLeft * cfg.borders.west.widthMultiplier * cfg.borders.west.scaleFactor, y);
+        westGradient.addColorStop(0, `rgba(255, 255, 255, ${cfg.borders.west.startOpacity})`);
+        westGradient.addColorStop(1, `rgba(255, 255, 255, ${cfg.borders.west.endOpacity})`);
+        ctx.fillStyle = westGradient;
+        ctx.fill();
 
         // Right side white border with reflection gradient
         const topCurveEnd = toploaderWidth - topCornerRadius * cfg.curves.topCurveStartPercent;
-        this.ctx.beginPath();
-        this.ctx.moveTo(x + topCurveEnd, y);
-        this.ctx.arcTo(x + toploaderWidth, y, x + toploaderWidth, y + topCornerRadius, topCornerRadius);
-        this.ctx.lineTo(x + toploaderWidth, y + toploaderHeight - bottomCornerRadius);
-        this.ctx.arcTo(x + toploaderWidth, y + toploaderHeight, x + toploaderWidth - bottomCornerRadius, y + toploaderHeight, bottomCornerRadius);
-        this.ctx.lineTo(x + toploaderWidth - frameThicknessRight * cfg.borders.east.scaleFactor - (bottomCornerRadius - frameThicknessRight * cfg.borders.east.scaleFactor), y + toploaderHeight - frameThicknessRight * cfg.borders.east.scaleFactor);
-        this.ctx.arcTo(x + toploaderWidth - frameThicknessRight * cfg.borders.east.scaleFactor, y + toploaderHeight - frameThicknessRight * cfg.borders.east.scaleFactor, x + toploaderWidth - frameThicknessRight * cfg.borders.east.scaleFactor, y + toploaderHeight - frameThicknessRight * cfg.borders.east.scaleFactor - (bottomCornerRadius - frameThicknessRight * cfg.borders.east.scaleFactor), bottomCornerRadius - frameThicknessRight * cfg.borders.east.scaleFactor);
-        this.ctx.lineTo(x + toploaderWidth - frameThicknessRight * cfg.borders.east.scaleFactor, y + frameThicknessRight * cfg.borders.east.scaleFactor + (topCornerRadius - frameThicknessRight * cfg.borders.east.scaleFactor));
-        this.ctx.arcTo(x + toploaderWidth - frameThicknessRight * cfg.borders.east.scaleFactor, y + frameThicknessRight * cfg.borders.east.scaleFactor, x + toploaderWidth - frameThicknessRight * cfg.borders.east.scaleFactor - (topCornerRadius - frameThicknessRight * cfg.borders.east.scaleFactor) * cfg.curves.topCurveStartPercent, y + frameThicknessRight * cfg.borders.east.scaleFactor, topCornerRadius - frameThicknessRight * cfg.borders.east.scaleFactor);
-        this.ctx.lineTo(x + topCurveEnd, y);
-        this.ctx.closePath();
-
-        // Create or reuse cached east gradient
-        let eastGradient;
-        if (dimensionsChanged) {
-            eastGradient = this.ctx.createLinearGradient(x + toploaderWidth, y, x + toploaderWidth - frameThicknessRight * cfg.borders.east.widthMultiplier * cfg.borders.east.scaleFactor, y);
-            eastGradient.addColorStop(0, `rgba(255, 255, 255, ${cfg.borders.east.startOpacity})`);
-            eastGradient.addColorStop(1, `rgba(255, 255, 255, ${cfg.borders.east.endOpacity})`);
-            this.toploaderGradientCache.eastGradient = eastGradient;
-        } else {
-            eastGradient = this.toploaderGradientCache.eastGradient;
-        }
-        this.ctx.fillStyle = eastGradient;
-        this.ctx.fill();
+        ctx.beginPath();
+        ctx.moveTo(x + topCurveEnd, y);
+        ctx.arcTo(x + toploaderWidth, y, x + toploaderWidth, y + topCornerRadius, topCornerRadius);
+        ctx.lineTo(x + toploaderWidth, y + toploaderHeight - bottomCornerRadius);
+        ctx.arcTo(x + toploaderWidth, y + toploaderHeight, x + toploaderWidth - bottomCornerRadius, y + toploaderHeight, bottomCornerRadius);
+        ctx.lineTo(x + toploaderWidth - frameThicknessRight * cfg.borders.east.scaleFactor - (bottomCornerRadius - frameThicknessRight * cfg.borders.east.scaleFactor), y + toploaderHeight - frameThicknessRight * cfg.borders.east.scaleFactor);
+        ctx.arcTo(x + toploaderWidth - frameThicknessRight * cfg.borders.east.scaleFactor, y + toploaderHeight - frameThicknessRight * cfg.borders.east.scaleFactor, x + toploaderWidth - frameThicknessRight * cfg.borders.east.scaleFactor, y + toploaderHeight - frameThicknessRight * cfg.borders.east.scaleFactor - (bottomCornerRadius - frameThicknessRight * cfg.borders.east.scaleFactor), bottomCornerRadius - frameThicknessRight * cfg.borders.east.scaleFactor);
+        ctx.lineTo(x + toploaderWidth - frameThicknessRight * cfg.borders.east.scaleFactor, y + frameThicknessRight * cfg.borders.east.scaleFactor + (topCornerRadius - frameThicknessRight * cfg.borders.east.scaleFactor));
+        ctx.arcTo(x + toploaderWidth - frameThicknessRight * cfg.borders.east.scaleFactor, y + frameThicknessRight * cfg.borders.east.scaleFactor, x + toploaderWidth - frameThicknessRight * cfg.borders.east.scaleFactor - (topCornerRadius - frameThicknessRight * cfg.borders.east.scaleFactor) * cfg.curves.topCurveStartPercent, y + frameThicknessRight * cfg.borders.east.scaleFactor, topCornerRadius - frameThicknessRight * cfg.borders.east.scaleFactor);
+        ctx.lineTo(x + topCurveEnd, y);
+        ctx.closePath();
+
+        const eastGradient = ctx.createLinearGradient(x + toploaderWidth, y, x + toploaderWidth - frameThicknessRight * cfg.borders.east.widthMultiplier * cfg.borders.east.scaleFactor, y);
+        eastGradient.addColorStop(0, `rgba(255, 255, 255, ${cfg.borders.east.startOpacity})`);
+        eastGradient.addColorStop(1, `rgba(255, 255, 255, ${cfg.borders.east.endOpacity})`);
+        ctx.fillStyle = eastGradient;
+        ctx.fill();
 
         // Bottom edge with subtle shadow gradient
         const southBorderStart = x + bottomCornerRadius;
         const southBorderEnd = x + toploaderWidth - bottomCornerRadius;
         const frameThicknessBottom = frameThicknessLeft;
 
-        this.ctx.beginPath();
-        this.ctx.moveTo(southBorderStart, y + toploaderHeight);
-        this.ctx.lineTo(southBorderEnd, y + toploaderHeight);
-        this.ctx.lineTo(southBorderEnd, y + toploaderHeight - frameThicknessBottom);
-        this.ctx.lineTo(southBorderStart, y + toploaderHeight - frameThicknessBottom);
-        this.ctx.closePath();
-
-        // Create or reuse cached south gradient
-        let southGradient;
-        if (dimensionsChanged) {
-            southGradient = this.ctx.createLinearGradient(southBorderStart, y + toploaderHeight, southBorderEnd, y + toploaderHeight);
-            southGradient.addColorStop(0, `rgba(255, 255, 255, ${cfg.borders.south.edgeOpacity})`);
-            southGradient.addColorStop(0.5, `rgba(255, 255, 255, ${cfg.borders.south.centerOpacity})`);
-            southGradient.addColorStop(1, `rgba(255, 255, 255, ${cfg.borders.south.edgeOpacity})`);
-            this.toploaderGradientCache.southGradient = southGradient;
-        } else {
-            southGradient = this.toploaderGradientCache.southGradient;
+        ctx.beginPath();
+        ctx.moveTo(southBorderStart, y + toploaderHeight);
+        ctx.lineTo(southBorderEnd, y + toploaderHeight);
+        ctx.lineTo(southBorderEnd, y + toploaderHeight - frameThicknessBottom);
+        ctx.lineTo(southBorderStart, y + toploaderHeight - frameThicknessBottom);
+        ctx.closePath();
+
+        const southGradient = ctx.createLinearGradient(southBorderStart, y + toploaderHeight, southBorderEnd, y + toploaderHeight);
+        southGradient.addColorStop(0, `rgba(255, 255, 255, ${cfg.borders.south.edgeOpacity})`);
+        southGradient.addColorStop(0.5, `rgba(255, 255, 255, ${cfg.borders.south.centerOpacity})`);
+        southGradient.addColorStop(1, `rgba(255, 255, 255, ${cfg.borders.south.edgeOpacity})`);
+        ctx.fillStyle = southGradient;
+        ctx.fill();
+
+        // Closed cases have a top edge like the bottom one
+        if (cfg.opening === 'none') {
+            ctx.beginPath();
+            ctx.rect(x + topCornerRadius, y, toploaderWidth - topCornerRadius * 2, frameThicknessBottom);
+            ctx.fillStyle = southGradient;
+            ctx.fill();
         }
-        this.ctx.fillStyle = southGradient;
-        this.ctx.fill();
 
         // Semi-transparent base overlay for plastic effect
         roundedRect(x, y, toploaderWidth, toploaderHeight, topCornerRadius, bottomCornerRadius);
-        this.ctx.fillStyle = `rgba(255, 255, 255, ${cfg.overlay.baseOpacity})`;
-        this.ctx.fill();
+        ctx.fillStyle = `rgba(255, 255, 255, ${cfg.overlay.baseOpacity})`;
+        ctx.fill();
 
         // Inner viewing area with subtle plastic tint
         const innerX = x + frameThicknessLeft;
@@ -1780,26 +2884,58 @@ const CanvasManager = {
         const innerHeight = toploaderHeight - frameThicknessLeft - frameThicknessBottom;
 
         roundedRect(innerX, innerY, innerWidth, innerHeight, topCornerRadius - frameThicknessLeft, bottomCornerRadius - frameThicknessLeft);
-        this.ctx.fillStyle = `rgba(${cfg.overlay.innerTint.red}, ${cfg.overlay.innerTint.green}, ${cfg.overlay.innerTint.blue}, ${cfg.overlay.innerTint.opacity})`;
-        this.ctx.fill();
+        ctx.fillStyle = `rgba(${cfg.overlay.innerTint.red}, ${cfg.overlay.innerTint.green}, ${cfg.overlay.innerTint.blue}, ${cfg.overlay.innerTint.opacity})`;
+        ctx.fill();
 
         // Subtle inner edge definition
-        this.ctx.strokeStyle = `rgba(${cfg.overlay.innerEdge.red}, ${cfg.overlay.innerEdge.green}, ${cfg.overlay.innerEdge.blue}, ${cfg.overlay.innerEdge.opacity})`;
-        this.ctx.lineWidth = cfg.overlay.innerEdge.lineWidth;
-        this.ctx.stroke();
-
-        // Top glossy highlight (subtle reflection from light source)
-        const topHighlightGradient = this.ctx.createLinearGradient(innerX, innerY, innerX, innerY + innerHeight * cfg.highlights.top.heightPercent);
+        ctx.strokeStyle = `rgba(${cfg.overlay.innerEdge.red}, ${cfg.overlay.innerEdge.green}, ${cfg.overlay.innerEdge.blue}, ${cfg.overlay.innerEdge.opacity})`;
+        ctx.lineWidth = cfg.overlay.innerEdge.lineWidth;
+        ctx.stroke();
+
+        // Glossy highlight (subtle reflection from light source) - a band along the
+        // inner edge facing the light, heightPercent of the inner area deep
+        const halfExtent = Math.abs(light.x) * innerWidth / 2 + Math.abs(light.y) * innerHeight / 2;
+        const highlightDepth = halfExtent * 2 * cfg.highlights.top.heightPercent;
+        const highlightStartX = innerX + innerWidth / 2 + light.x * halfExtent;
+        const highlightStartY = innerY + innerHeight / 2 + light.y * halfExtent;
+        const highlightEndX = highlightStartX - light.x * highlightDepth;
+        const highlightEndY = highlightStartY - light.y * highlightDepth;
+
+        const topHighlightGradient = ctx.createLinearGradient(highlightStartX, highlightStartY, highlightEndX, highlightEndY);
         topHighlightGradient.addColorStop(0, `rgba(255, 255, 255, ${cfg.highlights.top.startOpacity})`);
         topHighlightGradient.addColorStop(0.2, `rgba(255, 255, 255, ${cfg.highlights.top.middleOpacity})`);
         topHighlightGradient.addColorStop(1, `rgba(255, 255, 255, ${cfg.highlights.top.endOpacity})`);
 
-        roundedRect(innerX, innerY, innerWidth, innerHeight * cfg.highlights.top.heightPercent, topCornerRadius - frameThicknessLeft, 0);
-        this.ctx.fillStyle = topHighlightGradient;
-        this.ctx.fill();
+        ctx.save();
+        roundedRect(innerX, innerY, innerWidth, innerHeight, topCornerRadius - frameThicknessLeft, bottomCornerRadius - frameThicknessLeft);
+        ctx.clip();
+
+        // The band, reaching well past the inner area on the other three sides
+        const reach = innerWidth + innerHeight;
+        ctx.beginPath();
+        ctx.moveTo(highlightStartX + (light.x - light.y) * reach, highlightStartY + (light.y + light.x) * reach);
+        ctx.lineTo(highlightStartX + (light.x + light.y) * reach, highlightStartY + (light.y - light.x) * reach);
+        ctx.lineTo(highlightEndX + light.y * reach, highlightEndY - light.x * reach);
+        ctx.lineTo(highlightEndX - light.y * reach, highlightEndY + light.x * reach);
+        ctx.closePath();
+        ctx.fillStyle = topHighlightGradient;
+        ctx.fill();
+        ctx.restore();
 
         // Inner shadow gradients for 3D depth effect - connecting at corners
         // Shadow spreads all the way to photocard border
+        // The shadows values are for light from the top; sides turned away from the
+        // light get darker by shadowContrast, sides turned towards it lighter
+        const contrast = Math.min(0.9, Math.max(0, cfg.lighting.shadowContrast));
+        const shade = (normalX, normalY, tunedFacing) => {
+            const facing = normalX * light.x + normalY * light.y;
+            return (1 - contrast * facing) / (1 - contrast * tunedFacing);
+        };
+        const northShade = shade(0, -1, 1);
+        const westShade = shade(-1, 0, 0);
+        const eastShade = shade(1, 0, 0);
+        const southShade = shade(0, 1, -1);
+
         const photocardLeftEdge = overlap; // Distance from toploader edge to photocard edge
         const photocardBottomEdge = bottomOverlap; // Distance from toploader bottom to photocard bottom
 
@@ -1815,38 +2951,38 @@ const CanvasManager = {
 
         // Helper to create rounded rectangle path
         const createRoundedShadowPath = (shadowX, shadowY, shadowW, shadowH, radiusTopLeft, radiusTopRight, radiusBottomLeft, radiusBottomRight) => {
-            this.ctx.beginPath();
-            this.ctx.moveTo(shadowX + radiusTopLeft, shadowY);
-            this.ctx.lineTo(shadowX + shadowW - radiusTopRight, shadowY);
+            ctx.beginPath();
+            ctx.moveTo(shadowX + radiusTopLeft, shadowY);
+            ctx.lineTo(shadowX + shadowW - radiusTopRight, shadowY);
             if (radiusTopRight > 0) {
-                this.ctx.arcTo(shadowX + shadowW, shadowY, shadowX + shadowW, shadowY + radiusTopRight, radiusTopRight);
+                ctx.arcTo(shadowX + shadowW, shadowY, shadowX + shadowW, shadowY + radiusTopRight, radiusTopRight);
             }
-            this.ctx.lineTo(shadowX + shadowW, shadowY + shadowH - radiusBottomRight);
+            ctx.lineTo(shadowX + shadowW, shadowY + shadowH - radiusBottomRight);
             if (radiusBottomRight > 0) {
-                this.ctx.arcTo(shadowX + shadowW, shadowY + shadowH, shadowX + shadowW - radiusBottomRight, shadowY + shadowH, radiusBottomRight);
+                ctx.arcTo(shadowX + shadowW, shadowY + shadowH, shadowX + shadowW - radiusBottomRight, shadowY + shadowH, radiusBottomRight);
             }
-            this.ctx.lineTo(shadowX + radiusBottomLeft, shadowY + shadowH);
+            ctx.lineTo(shadowX + radiusBottomLeft, shadowY + shadowH);
             if (radiusBottomLeft > 0) {
-                this.ctx.arcTo(shadowX, shadowY + shadowH, shadowX, shadowY + shadowH - radiusBottomLeft, radiusBottomLeft);
+                ctx.arcTo(shadowX, shadowY + shadowH, shadowX, shadowY + shadowH - radiusBottomLeft, radiusBottomLeft);
             }
-            this.ctx.lineTo(shadowX, shadowY + radiusTopLeft);
+            ctx.lineTo(shadowX, shadowY + radiusTopLeft);
             if (radiusTopLeft > 0) {
-                this.ctx.arcTo(shadowX, shadowY, shadowX + radiusTopLeft, shadowY, radiusTopLeft);
+                ctx.arcTo(shadowX, shadowY, shadowX + radiusTopLeft, shadowY, radiusTopLeft);
             }
-            this.ctx.closePath();
+            ctx.closePath();
         };
 
         // Top inner shadow gradient (North) - full width including corners
-        const topShadowGradient = this.ctx.createLinearGradient(
+        const topShadowGradient = ctx.createLinearGradient(
             x,
             y + frameThicknessLeft,
             x,
             y + frameThicknessLeft + topShadowHeight
         );
-        topShadowGradient.addColorStop(0, `rgba(0, 0, 0, ${cfg.shadows.north.startOpacity})`);
-        topShadowGradient.addColorStop(1, `rgba(0, 0, 0, ${cfg.shadows.north.endOpacity})`);
+        topShadowGradient.addColorStop(0, `rgba(0, 0, 0, ${cfg.shadows.north.startOpacity * northShade})`);
+        topShadowGradient.addColorStop(1, `rgba(0, 0, 0, ${cfg.shadows.north.endOpacity * northShade})`);
 
-        this.ctx.fillStyle = topShadowGradient;
+        ctx.fillStyle = topShadowGradient;
         createRoundedShadowPath(
             x + frameThicknessLeft,
             y + frameThicknessLeft,
@@ -1854,19 +2990,19 @@ const CanvasManager = {
             topShadowHeight,
             shadowTopCornerRadius, shadowTopCornerRadius, 0, 0
         );
-        this.ctx.fill();
+        ctx.fill();
 
         // Left inner shadow gradient (West) - full height including corners
-        const leftShadowGradient = this.ctx.createLinearGradient(
+        const leftShadowGradient = ctx.createLinearGradient(
             x + frameThicknessLeft,
             y,
             x + frameThicknessLeft + leftShadowWidth,
             y
         );
-        leftShadowGradient.addColorStop(0, `rgba(0, 0, 0, ${cfg.shadows.west.startOpacity})`);
-        leftShadowGradient.addColorStop(1, `rgba(0, 0, 0, ${cfg.shadows.west.endOpacity})`);
+        leftShadowGradient.addColorStop(0, `rgba(0, 0, 0, ${cfg.shadows.west.startOpacity * westShade})`);
+        leftShadowGradient.addColorStop(1, `rgba(0, 0, 0, ${cfg.shadows.west.endOpacity * westShade})`);
 
-        this.ctx.fillStyle = leftShadowGradient;
+        ctx.fillStyle = leftShadowGradient;
         createRoundedShadowPath(
             x + frameThicknessLeft,
             y + frameThicknessLeft,
@@ -1874,19 +3010,19 @@ const CanvasManager = {
             toploaderHeight - frameThicknessLeft - frameThicknessBottom,
             shadowTopCornerRadius, 0, shadowBottomCornerRadius, 0
         );
-        this.ctx.fill();
+        ctx.fill();
 
         // Right inner shadow gradient (East) - full height including corners
-        const rightShadowGradient = this.ctx.createLinearGradient(
+        const rightShadowGradient = ctx.createLinearGradient(
             x + toploaderWidth - frameThicknessRight - rightInset,
             y,
             x + toploaderWidth - frameThicknessRight - rightShadowWidth - rightInset,
             y
         );
-        rightShadowGradient.addColorStop(0, `rgba(0, 0, 0, ${cfg.shadows.east.startOpacity})`);
-        rightShadowGradient.addColorStop(1, `rgba(0, 0, 0, ${cfg.shadows.east.endOpacity})`);
+        rightShadowGradient.addColorStop(0, `rgba(0, 0, 0, ${cfg.shadows.east.startOpacity * eastShade})`);
+        rightShadowGradient.addColorStop(1, `rgba(0, 0, 0, ${cfg.shadows.east.endOpacity * eastShade})`);
 
-        this.ctx.fillStyle = rightShadowGradient;
+        ctx.fillStyle = rightShadowGradient;
         createRoundedShadowPath(
             x + toploaderWidth - frameThicknessRight - rightShadowWidth - rightInset,
             y + frameThicknessLeft,
@@ -1894,19 +3030,19 @@ const CanvasManager = {
             toploaderHeight - frameThicknessLeft - frameThicknessBottom,
             0, shadowTopCornerRadius, 0, shadowBottomCornerRadius
         );
-        this.ctx.fill();
+        ctx.fill();
 
         // Bottom inner shadow gradient (South) - full width including corners
-        const bottomShadowGradient = this.ctx.createLinearGradient(
+        const bottomShadowGradient = ctx.createLinearGradient(
             x,
             y + toploaderHeight - frameThicknessBottom - bottomShadowHeight,
             x,
             y + toploaderHeight - frameThicknessBottom
         );
-        bottomShadowGradient.addColorStop(0, `rgba(0, 0, 0, ${cfg.shadows.south.startOpacity})`);
-        bottomShadowGradient.addColorStop(1, `rgba(0, 0, 0, ${cfg.shadows.south.endOpacity})`);
+        bottomShadowGradient.addColorStop(0, `rgba(0, 0, 0, ${cfg.shadows.south.startOpacity * southShade})`);
+        bottomShadowGradient.addColorStop(1, `rgba(0, 0, 0, ${cfg.shadows.south.endOpacity * southShade})`);
 
-        this.ctx.fillStyle = bottomShadowGradient;
+        ctx.fillStyle = bottomShadowGradient;
         createRoundedShadowPath(
             x + frameThicknessLeft,
             y + toploaderHeight - frameThicknessBottom - bottomShadowHeight,
@@ -1914,11 +3050,11 @@ const CanvasManager = {
             bottomShadowHeight,
             0, 0, shadowBottomCornerRadius, shadowBottomCornerRadius
         );
-        this.ctx.fill();
+        ctx.fill();
 
         // Third internal shading line - follows white border width for West, East, and South
         // This creates a connected border-following highlight with varying widths per side
-        this.ctx.strokeStyle = `rgba(${cfg.shadingLine.red}, ${cfg.shadingLine.green}, ${cfg.shadingLine.blue}, ${cfg.shadingLine.opacity})`;
+        ctx.strokeStyle = `rgba(${cfg.shadingLine.red}, ${cfg.shadingLine.green}, ${cfg.shadingLine.blue}, ${cfg.shadingLine.opacity})`;
 
         // Define position variables
         const thirdLineLeftX = x + frameThicknessLeft;
@@ -1927,78 +3063,117 @@ const CanvasManager = {
         const thirdLineBottomY = y + toploaderHeight - frameThicknessBottom;
 
         // Left edge (West) - with left border width reduced by widthReduction factor
-        this.ctx.lineWidth = frameThicknessLeft * cfg.shadingLine.widthReduction;
-        this.ctx.beginPath();
-        this.ctx.moveTo(thirdLineLeftX, thirdLineTopY + shadowTopCornerRadius);
-        this.ctx.lineTo(thirdLineLeftX, thirdLineBottomY - shadowBottomCornerRadius);
-        this.ctx.stroke();
+        ctx.lineWidth = frameThicknessLeft * cfg.shadingLine.widthReduction;
+        ctx.beginPath();
+        ctx.moveTo(thirdLineLeftX, thirdLineTopY + shadowTopCornerRadius);
+        ctx.lineTo(thirdLineLeftX, thirdLineBottomY - shadowBottomCornerRadius);
+        ctx.stroke();
 
         // Bottom edge (South) - with bottom border width reduced by widthReduction factor
-        this.ctx.lineWidth = frameThicknessBottom * cfg.shadingLine.widthReduction;
-        this.ctx.beginPath();
-        this.ctx.moveTo(thirdLineLeftX + shadowBottomCornerRadius, thirdLineBottomY);
-        this.ctx.lineTo(thirdLineRightX - shadowBottomCornerRadius, thirdLineBottomY);
-        this.ctx.stroke();
+        ctx.lineWidth = frameThicknessBottom * cfg.shadingLine.widthReduction;
+        ctx.beginPath();
+        ctx.moveTo(thirdLineLeftX + shadowBottomCornerRadius, thirdLineBottomY);
+        ctx.lineTo(thirdLineRightX - shadowBottomCornerRadius, thirdLineBottomY);
+        ctx.stroke();
 
         // Right edge (East) - with right border width reduced by widthReduction factor
-        this.ctx.lineWidth = frameThicknessRight * cfg.borders.east.scaleFactor * cfg.shadingLine.widthReduction;
-        this.ctx.beginPath();
-        this.ctx.moveTo(thirdLineRightX, thirdLineTopY + shadowTopCornerRadius);
-        this.ctx.lineTo(thirdLineRightX, thirdLineBottomY - shadowBottomCornerRadius);
-        this.ctx.stroke();
+        ctx.lineWidth = frameThicknessRight * cfg.borders.east.scaleFactor * cfg.shadingLine.widthReduction;
+        ctx.beginPath();
+        ctx.moveTo(thirdLineRightX, thirdLineTopY + shadowTopCornerRadius);
+        ctx.lineTo(thirdLineRightX, thirdLineBottomY - shadowBottomCornerRadius);
+        ctx.stroke();
 
         // Corner arcs - reduced by widthReduction factor
-        this.ctx.lineWidth = frameThicknessLeft * cfg.shadingLine.widthReduction; // Use left thickness for corners
+        ctx.lineWidth = frameThicknessLeft * cfg.shadingLine.widthReduction; // Use left thickness for corners
 
         // Bottom-left corner
-        this.ctx.beginPath();
-        this.ctx.arc(
+        ctx.beginPath();
+        ctx.arc(
             thirdLineLeftX + shadowBottomCornerRadius,
             thirdLineBottomY - shadowBottomCornerRadius,
             shadowBottomCornerRadius,
             Math.PI / 2,
             Math.PI
         );
-        this.ctx.stroke();
+        ctx.stroke();
 
         // Bottom-right corner
-        this.ctx.beginPath();
-        this.ctx.arc(
+        ctx.beginPath();
+        ctx.arc(
             thirdLineRightX - shadowBottomCornerRadius,
             thirdLineBottomY - shadowBottomCornerRadius,
             shadowBottomCornerRadius,
             0,
             Math.PI / 2
         );
-        this.ctx.stroke();
+        ctx.stroke();
 
         // Top-left corner
-        this.ctx.beginPath();
-        this.ctx.arc(
+        ctx.beginPath();
+        ctx.arc(
             thirdLineLeftX + shadowTopCornerRadius,
             thirdLineTopY + shadowTopCornerRadius,
             shadowTopCornerRadius,
             Math.PI,
             Math.PI * 1.5
         );
-        this.ctx.stroke();
+        ctx.stroke();
 
         // Top-right corner
-        this.ctx.beginPath();
-        this.ctx.arc(
+        ctx.beginPath();
+        ctx.arc(
             thirdLineRightX - shadowTopCornerRadius,
             thirdLineTopY + shadowTopCornerRadius,
             shadowTopCornerRadius,
             Math.PI * 1.5,
             0
         );
-        this.ctx.stroke();
-
-        this.ctx.restore();
+        ctx.stroke();
+
+        // Seam between the two halves of a closed case
+        if (cfg.seam.opacity > 0) {
+            const inset = cfg.seam.inset;
+            roundedRect(
+                x + inset,
+                y + inset,
+                toploaderWidth - inset * 2,
+                toploaderHeight - inset * 2,
+                Math.max(0, topCornerRadius - inset),
+                Math.max(0, bottomCornerRadius - inset)
+            );
+            ctx.strokeStyle = `rgba(${cfg.seam.red}, ${cfg.seam.green}, ${cfg.seam.blue}, ${cfg.seam.opacity})`;
+            ctx.lineWidth = cfg.seam.lineWidth;
+            ctx.stroke();
+        }
 
-        // Update cache with current dimensions
-        this.toploaderGradientCache.cachedWidth = width;
-        this.toploaderGradientCache.cachedHeight = height;
+        ctx.restore();
+
+        // Lip - the back panel rising above the opening, outside the top clip
+        if (cfg.lip.height > 0) {
+            const lipTop = y - cfg.lip.height;
+            const lipRadius = Math.min(topCornerRadius, cfg.lip.height);
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.moveTo(x, y + cfg.clipping.topClip);
+            ctx.lineTo(x, lipTop + lipRadius);
+            ctx.arcTo(x, lipTop, x + lipRadius, lipTop, lipRadius);
+            ctx.lineTo(x + toploaderWidth - lipRadius, lipTop);
+            ctx.arcTo(x + toploaderWidth, lipTop, x + toploaderWidth, lipTop + lipRadius, lipRadius);
+            ctx.lineTo(x + toploaderWidth, y + cfg.clipping.topClip);
+            ctx.closePath();
+            ctx.fillStyle = `rgba(255, 255, 255, ${cfg.lip.opacity})`;
+            ctx.fill();
+
+            // Edge of the front panel
+            ctx.beginPath();
+            ctx.moveTo(x, y + cfg.clipping.topClip);
+            ctx.lineTo(x + toploaderWidth, y + cfg.clipping.topClip);
+            ctx.strokeStyle = `rgba(255, 255, 255, ${cfg.lip.edgeOpacity})`;
+            ctx.lineWidth = cfg.lip.lineWidth;
+            ctx.stroke();
+            ctx.restore();
+        }
     },
 
     /**
@@ -2008,18 +3183,21 @@ const CanvasManager = {
         if (!this.backgroundImage) return;
         this.background[property] = value;
         this.render();
+        this.commitChange('background-' + property, { coalesce: true });
     },
 
     flipBackgroundHorizontal() {
         if (!this.backgroundImage) return;
         this.background.flipH = !this.background.flipH;
         this.render();
+        this.commitChange('transform');
     },
 
     flipBackgroundVertical() {
         if (!this.backgroundImage) return;
         this.background.flipV = !this.background.flipV;
         this.render();
+        this.commitChange('transform');
     },
 
     resetBackground() {
@@ -2033,6 +3211,7 @@ const CanvasManager = {
             flipV: false
         };
         this.render();
+        this.commitChange('transform');
     },
 
     /**
@@ -2042,55 +3221,52 @@ const CanvasManager = {
         if (!this.photocardImage) return;
         this.photocard[property] = value;
         this.render();
+        this.commitChange('photocard-' + property, { coalesce: true });
     },
 
     flipPhotocardHorizontal() {
         if (!this.photocardImage) return;
         this.photocard.flipH = !this.photocard.flipH;
         this.render();
+        this.commitChange('transform');
     },
 
     flipPhotocardVertical() {
         if (!this.photocardImage) return;
         this.photocard.flipV = !this.photocard.flipV;
         this.render();
+        this.commitChange('transform');
     },
 
     resetPhotocard() {
         if (!this.photocardImage) return;
         const rect = this.canvas.getBoundingClientRect();
         const imgWidth = this.photocardImage.videoWidth || this.photocardImage.width;
-        this.photocard = {
+        Object.assign(this.photocard, {
             x: rect.width / 2,
             y: rect.height / 2,
             scale: Math.min(rect.width, rect.height) / (imgWidth * 1.5),
             rotation: 0,
             flipH: false,
-            flipV: false,
-            layer: this.photocard.layer,
-            showToploader: this.photocard.showToploader
-        };
-
-        // If photocard is a video, ensure it's playing
-        if (this.photocardVideo.isVideo && this.photocardVideo.element) {
-            this.photocardVideo.element.play().catch(err => {
-                console.warn('Could not resume video playback:', err);
-            });
-        }
+            flipV: false
+        });
 
         this.render();
+        this.commitChange('transform');
     },
 
     bringToFront() {
         if (!this.photocardImage) return;
         this.photocard.layer = 'front';
         this.render();
+        this.commitChange('transform');
     },
 
     sendToBack() {
         if (!this.photocardImage) return;
         this.photocard.layer = 'back';
         this.render();
+        this.commitChange('transform');
     },
 
     /**
@@ -2099,6 +3275,168 @@ const CanvasManager = {
     toggleToploader(show) {
         this.photocard.showToploader = show;
         this.render();
+        this.commitChange('transform');
+    },
+
+    /**
+     * Set the holder style of the active photocard's toploader
+     * @param {string} presetId - See ToploaderPresets
+     */
+    setToploaderPreset(presetId) {
+        this.photocard.toploaderPreset = presetId;
+        this.render();
+        this.commitChange('transform');
+    },
+
+    /**
+     * Set where the light comes from
+     * @param {number} degrees - Clockwise from the top of the canvas
+     */
+    setLightAngle(degrees) {
+        this.light.angle = degrees;
+        this.render();
+        this.commitChange('light-angle', { coalesce: true });
+    },
+
+    /**
+     * Take the light direction from the background's bright side instead
+     */
+    setAutoLight(auto) {
+        this.light.auto = auto;
+        this.render();
+        this.commitChange('light');
+    },
+
+    /**
+     * Direction the light comes from, in degrees clockwise from the top of the canvas
+     * With auto light this follows the background, falling back to light.angle
+     * when there's no background or it's evenly lit
+     */
+    getLightAngle() {
+        if (!this.light.auto) return this.light.angle;
+
+        const source = this.getLightSource();
+        if (!source) return this.light.angle;
+
+        if (this.lightHeld === 0) {
+            this.updateLightEstimate(source);
+        }
+
+        const estimate = this.lightEstimate;
+        if (!estimate || estimate.source !== source.key || estimate.angle === null) {
+            return this.light.angle;
+        }
+
+        // The estimate is in the background's own orientation
+        const background = this.background;
+        let angle = estimate.angle;
+        if (background.flipH) angle = -angle;
+        if (background.flipV) angle = 180 - angle;
+        return angle + background.rotation;
+    },
+
+    /**
+     * What the light is estimated from
+     * Estimates belong to the media rather than the image drawn: GIF backgrounds
+     * swap their frame image constantly, videos and the camera keep one element
+     * @returns {Object|null} { key, image: frame to look at, live: whether it changes over time }
+     */
+    getLightSource() {
+        if (this.camera.active && this.camera.video) {
+            return { key: this.camera, image: this.camera.video, live: true };
+        }
+        if (!this.backgroundImage) return null;
+
+        if (this.backgroundGif.isGif) {
+            return { key: this.backgroundGif, image: this.backgroundImage, live: true };
+        }
+        if (this.backgroundVideo.isVideo) {
+            return { key: this.backgroundVideo, image: this.backgroundImage, live: true };
+        }
+        return { key: this.backgroundImage, image: this.backgroundImage, live: false };
+    },
+
+    /**
+     * Estimate the light of a new source, and of a live one every lightEstimateInterval
+     */
+    updateLightEstimate(source) {
+        const now = performance.now();
+        const estimate = this.lightEstimate;
+        if (estimate && estimate.source === source.key &&
+            (!source.live || now - estimate.time < this.lightEstimateInterval)) {
+            return;
+        }
+
+        // Videos may not have a frame to look at yet
+        const angle = this.estimateLightAngle(source.image);
+        if (angle === undefined) return;
+
+        this.lightEstimate = { source: source.key, angle, time: now };
+    },
+
+    /**
+     * Run an export with the estimated light kept as it is, so every frame
+     * (and every budget attempt) is lit the same way
+     */
+    async withLightHeld(task) {
+        this.getLightAngle();
+        this.lightHeld++;
+        try {
+            return await task();
+        } finally {
+            this.lightHeld--;
+        }
+    },
+
+    /**
+     * Guess the light direction of an image from where its bright pixels are
+     * @returns {number|null|undefined} Degrees clockwise from the top of the image,
+     *     null if it is evenly lit, undefined if it can't be read yet
+     */
+    estimateLightAngle(source) {
+        if (source.readyState !== undefined && source.readyState < 2) return undefined;
+
+        // Sample at the image's own shape, so the angle isn't skewed for portrait or landscape images
+        const size = 32;
+        const sourceWidth = source.videoWidth || source.naturalWidth || source.width || 1;
+        const sourceHeight = source.videoHeight || source.naturalHeight || source.height || 1;
+        const aspect = sourceWidth / sourceHeight;
+        const columns = aspect >= 1 ? size : Math.max(1, Math.round(size * aspect));
+        const rows = aspect >= 1 ? Math.max(1, Math.round(size / aspect)) : size;
+
+        const sampleCtx = this.createFrameContext(columns, rows, { willReadFrequently: true });
+        let pixels;
+        try {
+            sampleCtx.drawImage(source, 0, 0, columns, rows);
+            pixels = sampleCtx.getImageData(0, 0, columns, rows).data;
+        } catch (error) {
+            console.warn('Could not estimate the light from the background:', error);
+            return null;
+        }
+
+        // Centre of brightness, weighted towards the brightest areas
+        // Offsets are in fractions of the longer side, the same scale across and down
+        let total = 0;
+        let sumX = 0;
+        let sumY = 0;
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < columns; x++) {
+                const i = (y * columns + x) * 4;
+                const luma = (pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114) / 255;
+                const weight = luma * luma;
+                total += weight;
+                sumX += weight * (x + 0.5 - columns / 2) / size;
+                sumY += weight * (y + 0.5 - rows / 2) / size;
+            }
+        }
+
+        if (total === 0) return null;
+
+        const dx = sumX / total;
+        const dy = sumY / total;
+        if (Math.hypot(dx, dy) < 0.02) return null;
+
+        return Math.atan2(dx, -dy) * 180 / Math.PI;
     },
 
     /**
@@ -2263,75 +3601,47 @@ const CanvasManager = {
         if (!this.photocardImage) return;
         this.photocard.rotation -= Math.PI / 2;
         this.render();
+        this.commitChange('transform');
     },
 
     rotateRight() {
         if (!this.photocardImage) return;
         this.photocard.rotation += Math.PI / 2;
         this.render();
+        this.commitChange('transform');
     },
 
     /**
      * Reset canvas
      */
     reset() {
-        // Stop any GIF animations
-        this.stopPhotocardGifAnimation();
-        this.stopBackgroundGifAnimation();
+        this.clearComposition();
 
-        // Stop any video animations
-        this.stopPhotocardVideoAnimation();
-        this.stopBackgroundVideoAnimation();
+        this.notifyLayersChanged();
+        this.render();
+        this.commitChange('reset');
 
-        this.backgroundImage = null;
-        this.photocardImage = null;
-        this.isPlaceholder = false;
+        // Reload placeholder photocard
+        this.loadPlaceholderPhotocard();
+    },
 
-        // Reset GIF states
-        this.photocardGif = {
-            isGif: false,
-            frames: [],
-            delays: [],
-            currentFrame: 0,
-            lastFrameTime: 0,
-            animationFrame: null
-        };
+    /**
+     * Remove the background and every photocard layer
+     */
+    clearComposition() {
+        // Pause any videos (media is kept alive so the reset can be undone)
+        this.photocardLayers.forEach(layer => this.pauseVideo(layer.video));
+        this.pauseVideo(this.backgroundVideo);
 
-        this.backgroundGif = {
-            isGif: false,
-            frames: [],
-            delays: [],
-            currentFrame: 0,
-            lastFrameTime: 0,
-            animationFrame: null
-        };
+        this.backgroundImage = null;
 
-        // Reset video states
-        if (this.photocardVideo.element) {
-            const url = this.photocardVideo.element.src;
-            if (url && url.startsWith('blob:')) {
-                URL.revokeObjectURL(url);
-            }
-        }
-        if (this.backgroundVideo.element) {
-            const url = this.backgroundVideo.element.src;
-            if (url && url.startsWith('blob:')) {
-                URL.revokeObjectURL(url);
-            }
-        }
-        this.photocardVideo = {
-            isVideo: false,
-            element: null,
-            originalFile: null,
-            animationFrame: null
-        };
+        // Clear the photocard stack
+        this.photocardLayers = [];
+        this.activeLayerIndex = -1;
 
-        this.backgroundVideo = {
-            isVideo: false,
-            element: null,
-            originalFile: null,
-            animationFrame: null
-        };
+        // Reset GIF and video states
+        this.backgroundGif = this.createGifState();
+        this.backgroundVideo = this.createVideoState();
 
         this.background = {
             x: 0,
@@ -2341,428 +3651,1351 @@ const CanvasManager = {
             flipH: false,
             flipV: false
         };
-        this.photocard = {
-            x: 0,
-            y: 0,
-            scale: 1,
-            rotation: 0,
-            flipH: false,
-            flipV: false,
-            layer: 'front',
-            showToploader: true
-        };
-
-        // Reload placeholder photocard
-        this.loadPlaceholderPhotocard();
     },
 
     /**
-     * Export canvas as image (PNG or GIF)
+     * Drop pre-rendered toploader overlays (needed after ToploaderConfig changes)
      */
-    exportImage(asGif = false) {
-        // Check if we should export as GIF
-        const hasGif = this.photocardGif.isGif || this.backgroundGif.isGif;
-
-        if (asGif && hasGif) {
-            return this.exportAsGif();
-        }
-
-        return new Promise((resolve, reject) => {
-            try {
-                const dpr = window.devicePixelRatio || 1;
-                let exportWidth, exportHeight;
-                let sourceX = 0, sourceY = 0, sourceW, sourceH;
-
-                // Apply crop if enabled
-                if (this.crop.enabled) {
-                    sourceX = this.crop.bounds.x * dpr;
-                    sourceY = this.crop.bounds.y * dpr;
-                    sourceW = this.crop.bounds.width * dpr;
-                    sourceH = this.crop.bounds.height * dpr;
-                    exportWidth = sourceW;
-                    exportHeight = sourceH;
-                } else {
-                    sourceW = this.canvas.width;
-                    sourceH = this.canvas.height;
-                    exportWidth = this.canvas.width;
-                    exportHeight = this.canvas.height;
-                }
+    invalidateToploaderCache() {
+        this.toploaderOverlayCache.clear();
 
-                // Create a temporary canvas for export
-                const exportCanvas = document.createElement('canvas');
-                exportCanvas.width = exportWidth;
-                exportCanvas.height = exportHeight;
+        const presets = window.ToploaderPresets || ToploaderPresets;
+        presets.invalidate();
+    },
 
-                const exportCtx = exportCanvas.getContext('2d');
+    /**
+     * Still image export formats
+     * Lossy formats take a quality between 0 and 1
+     */
+    imageFormats: {
+        png: { label: 'PNG', mimeType: 'image/png', extension: 'png', lossy: false, alpha: true },
+        jpeg: { label: 'JPEG', mimeType: 'image/jpeg', extension: 'jpg', lossy: true, alpha: false },
+        webp: { label: 'WebP', mimeType: 'image/webp', extension: 'webp', lossy: true, alpha: true },
+        avif: { label: 'AVIF', mimeType: 'image/avif', extension: 'avif', lossy: true, alpha: true }
+    },
 
-                // Draw cropped region from current canvas
-                exportCtx.drawImage(
-                    this.canvas,
-                    sourceX, sourceY, sourceW, sourceH,
-                    0, 0, exportWidth, exportHeight
-                );
+    // Encoder support per format, probed once
+    imageFormatSupport: {},
 
-                // Convert to blob
-                exportCanvas.toBlob((blob) => {
-                    if (blob) {
-                        resolve(blob);
-                    } else {
-                        reject(new Error('Failed to export canvas'));
-                    }
-                }, 'image/png');
-            } catch (error) {
-                reject(error);
-            }
-        });
+    // Animation export formats; APNG and WebP keep full colour and alpha, GIF frames are opaque
+    animationFormats: {
+        gif: { label: 'Animated GIF', mimeType: 'image/gif', extension: 'gif', paletted: true, lossy: false },
+        apng: { label: 'Animated PNG', mimeType: 'image/png', extension: 'png', paletted: false, lossy: false },
+        webp: { label: 'Animated WebP', mimeType: 'image/webp', extension: 'webp', paletted: false, lossy: true }
     },
 
     /**
-     * Export canvas as animated GIF
+     * Get a still image format, falling back to PNG
      */
-    async exportAsGif() {
-        try {
-            // Check if gif.js is available
-            if (typeof GIF === 'undefined') {
-                throw new Error('GIF encoder library not loaded');
-            }
-
-            // Determine the number of frames to export
-            const photocardFrameCount = this.photocardGif.isGif ? this.photocardGif.frames.length : 1;
-            const backgroundFrameCount = this.backgroundGif.isGif ? this.backgroundGif.frames.length : 1;
-            const totalFrames = Math.max(photocardFrameCount, backgroundFrameCount);
-
-            // Create GIF encoder with crop support
-            const dpr = window.devicePixelRatio || 1;
-            let width, height;
-            if (this.crop.enabled) {
-                width = this.crop.bounds.width;
-                height = this.crop.bounds.height;
-            } else {
-                width = this.canvas.width / dpr;
-                height = this.canvas.height / dpr;
-            }
+    getImageFormat(format) {
+        return this.imageFormats[format] || this.imageFormats.png;
+    },
 
-            // Create inline worker to avoid CORS issues
-            let workerScriptUrl;
-            try {
-                // Fetch the worker script and create a blob URL
-                const workerResponse = await fetch('https://cdn.jsdelivr.net/npm/gif.js@0.2.0/dist/gif.worker.js');
-                const workerBlob = await workerResponse.blob();
-                workerScriptUrl = URL.createObjectURL(workerBlob);
-            } catch (error) {
-                console.warn('Failed to load worker script, falling back to no workers:', error);
-                workerScriptUrl = undefined;
-            }
+    /**
+     * Check whether the browser can encode a format from a canvas
+     * Unsupported types silently fall back to PNG, so the data URL prefix tells
+     */
+    isImageFormatSupported(format) {
+        if (!(format in this.imageFormatSupport)) {
+            const mimeType = this.getImageFormat(format).mimeType;
+            const probe = document.createElement('canvas');
+            probe.width = 1;
+            probe.height = 1;
+            this.imageFormatSupport[format] = probe.toDataURL(mimeType).startsWith(`data:${mimeType}`);
+        }
+        return this.imageFormatSupport[format];
+    },
 
-            const gif = new GIF({
-                workers: workerScriptUrl ? 2 : 0, // Use workers if available
-                quality: 10,
-                width: width,
-                height: height,
-                workerScript: workerScriptUrl
-            });
+    /**
+     * Re-render the export region from the source media onto a new canvas
+     * @param {Object} options - { size, scale: see getExportSize() }
+     */
+    renderStill(options = {}) {
+        const region = this.getExportRegion();
+        const { width, height } = this.getExportSize(options.size, region, options.scale);
 
-            console.log(`Exporting GIF with ${totalFrames} frames...`);
+        const exportCanvas = document.createElement('canvas');
+        exportCanvas.width = width;
+        exportCanvas.height = height;
 
-            // Render each frame
-            for (let i = 0; i < totalFrames; i++) {
-                if (i % 10 === 0) {
-                    console.log(`Processing frame ${i + 1}/${totalFrames}...`);
-                }
-                // Update images to the correct frame
-                if (this.photocardGif.isGif) {
-                    this.photocardImage = this.photocardGif.frames[i % photocardFrameCount];
-                }
-                if (this.backgroundGif.isGif) {
-                    this.backgroundImage = this.backgroundGif.frames[i % backgroundFrameCount];
-                }
+        const exportCtx = exportCanvas.getContext('2d');
+        exportCtx.imageSmoothingEnabled = true;
+        exportCtx.imageSmoothingQuality = 'high';
 
-                // Render the frame
-                this.render();
+        const opaque = !this.getImageFormat(options.format).alpha;
+        this.renderScene(exportCtx, { width, height }, null, { region, opaque });
+        return exportCanvas;
+    },
 
-                // Calculate delay (use the longer delay if both are animated)
-                let delay = 100; // Default delay
-                if (this.photocardGif.isGif && this.backgroundGif.isGif) {
-                    const photocardDelay = this.photocardGif.delays[i % photocardFrameCount];
-                    const backgroundDelay = this.backgroundGif.delays[i % backgroundFrameCount];
-                    delay = Math.max(photocardDelay, backgroundDelay);
-                } else if (this.photocardGif.isGif) {
-                    delay = this.photocardGif.delays[i % photocardFrameCount];
-                } else if (this.backgroundGif.isGif) {
-                    delay = this.backgroundGif.delays[i % backgroundFrameCount];
-                }
+    /**
+     * Encode a canvas in a still image format
+     * @param {HTMLCanvasElement} canvas - Rendered still
+     * @param {Object} options - { format: key of imageFormats, quality: 0-1 for lossy formats }
+     */
+    encodeStill(canvas, options = {}) {
+        const format = this.getImageFormat(options.format);
+        const quality = format.lossy ? options.quality : undefined;
 
-                // Add frame to GIF (with crop support)
-                if (this.crop.enabled) {
-                    // Create a temporary canvas for the cropped frame
-                    const frameCanvas = document.createElement('canvas');
-                    frameCanvas.width = this.crop.bounds.width * dpr;
-                    frameCanvas.height = this.crop.bounds.height * dpr;
-                    const frameCtx = frameCanvas.getContext('2d');
-                    frameCtx.drawImage(
-                        this.canvas,
-                        this.crop.bounds.x * dpr, this.crop.bounds.y * dpr,
-                        this.crop.bounds.width * dpr, this.crop.bounds.height * dpr,
-                        0, 0, frameCanvas.width, frameCanvas.height
-                    );
-                    gif.addFrame(frameCanvas, { copy: true, delay: delay });
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (blob) {
+                    resolve(blob);
                 } else {
-                    gif.addFrame(this.canvas, { copy: true, delay: delay });
+                    reject(new Error('Failed to export canvas'));
                 }
-            }
-
-            // Generate GIF and return as a promise
-            return new Promise((resolve, reject) => {
-                gif.on('finished', (blob) => {
-                    console.log('GIF encoding complete!');
-                    // Clean up worker script URL if it was created
-                    if (workerScriptUrl) {
-                        URL.revokeObjectURL(workerScriptUrl);
-                    }
-                    resolve(blob);
-                });
-
-                gif.on('error', (error) => {
-                    console.error('GIF encoding error:', error);
-                    // Clean up worker script URL if it was created
-                    if (workerScriptUrl) {
-                        URL.revokeObjectURL(workerScriptUrl);
-                    }
-                    reject(error);
-                });
+            }, format.mimeType, quality);
+        });
+    },
 
-                gif.on('progress', (progress) => {
-                    console.log(`GIF encoding progress: ${Math.round(progress * 100)}%`);
-                });
+    /**
+     * Export canvas as image (still or animation)
+     * @param {boolean} asGif - Export an animation (see exportAnimation()) when the composition is animated
+     * @param {Object} options - { size: see getExportSize(), format/quality: see encodeStill() }
+     */
+    exportImage(asGif = false, options = {}) {
+        return this.withLightHeld(() => {
+            // Check if we should export as an animation
+            if (asGif && this.hasGifAnimation()) {
+                return this.exportAnimation(options);
+            }
 
-                console.log('Starting GIF encoding...');
-                gif.render();
-            });
-        } catch (error) {
-            throw error;
-        }
+            return this.encodeStill(this.renderStill(options), options);
+        });
     },
 
     /**
-     * Check if current composition has GIF animation
+     * Export while keeping the file under a size budget
+     * Quality, dimensions and, for GIFs, colours and frames are given up step by step until it fits
+     * @param {string} kind - 'still', 'gif' (any animation format) or 'video'
+     * @param {Object} options - Export options for that kind, plus maxBytes
+     * @returns {Promise<Object>} { blob, mimeType, extension, sacrifices: descriptions of what was reduced, withinBudget }
      */
-    hasGifAnimation() {
-        return this.photocardGif.isGif || this.backgroundGif.isGif;
+    async exportWithinBudget(kind, options) {
+        return this.withLightHeld(() => {
+            if (kind === 'video') {
+                return this.fitVideoToBudget(options);
+            }
+            if (kind === 'gif') {
+                return this.fitAnimationToBudget(options);
+            }
+            return this.fitStillToBudget(options);
+        });
     },
 
     /**
-     * Check if current composition has video
+     * Still image budget: lower the quality (lossy formats), then the dimensions
      */
-    hasVideo() {
-        return this.photocardVideo.isVideo || this.backgroundVideo.isVideo;
+    async fitStillToBudget(options) {
+        const maxBytes = options.maxBytes;
+        const format = this.getImageFormat(options.format);
+        const region = this.getExportRegion();
+        const originalSize = this.getExportSize(options.size, region);
+        const originalQuality = options.quality !== undefined ? options.quality : 0.9;
+
+        let quality = originalQuality;
+        let scale = 1;
+        let canvas = this.renderStill(options);
+        let blob = await this.encodeStill(canvas, { ...options, quality });
+
+        if (blob.size > maxBytes && format.lossy) {
+            // Find the highest quality that fits, but don't go below the floor
+            const floor = Math.min(this.budgetQualityFloor, quality);
+            const floorBlob = await this.encodeStill(canvas, { ...options, quality: floor });
+
+            if (floorBlob.size <= maxBytes) {
+                let low = floor;
+                let high = quality;
+                let best = { quality: floor, blob: floorBlob };
+                for (let i = 0; i < 5; i++) {
+                    const mid = (low + high) / 2;
+                    const candidate = await this.encodeStill(canvas, { ...options, quality: mid });
+                    if (candidate.size <= maxBytes) {
+                        best = { quality: mid, blob: candidate };
+                        low = mid;
+                    } else {
+                        high = mid;
+                    }
+                }
+                quality = best.quality;
+                blob = best.blob;
+            } else {
+                quality = floor;
+                blob = floorBlob;
+            }
+        }
+
+        // Still too big - shrink
+        for (let attempt = 0; attempt < 6 && blob.size > maxBytes; attempt++) {
+            scale *= Math.sqrt(maxBytes / blob.size) * 0.95;
+            canvas = this.renderStill({ ...options, scale });
+            blob = await this.encodeStill(canvas, { ...options, quality });
+        }
+
+        const sacrifices = [];
+        if (format.lossy && quality < originalQuality) {
+            sacrifices.push(`${format.label} quality ${Math.round(originalQuality * 100)}% → ${Math.round(quality * 100)}%`);
+        }
+        if (scale < 1) {
+            sacrifices.push(`dimensions ${originalSize.width}×${originalSize.height} → ${canvas.width}×${canvas.height}`);
+        }
+
+        return {
+            blob,
+            mimeType: format.mimeType,
+            extension: format.extension,
+            sacrifices,
+            withinBudget: blob.size <= maxBytes
+        };
     },
 
     /**
-     * Export canvas as video
+     * Animation budget: fewer colours (GIF) or lower quality (WebP), then smaller,
+     * then drop frames, then smaller still
+     * Starts from the chosen colours, quality and frame step and only ever reduces them
+     */
+    async fitAnimationToBudget(options) {
+        const maxBytes = options.maxBytes;
+        const format = this.getAnimationFormat(options.animationFormat);
+        const original = {
+            colors: options.colors || 256,
+            quality: options.quality !== undefined ? options.quality : 0.9,
+            frameStep: options.frameStep || 1,
+            scale: 1
+        };
+        const settings = { ...original };
+        const frameCount = this.getGifFrameTimes().times.length;
+        const qualityFloor = Math.min(this.budgetQualityFloor, original.quality);
+
+        let blob = await this.exportAnimation({ ...options, ...settings });
+
+        for (let attempt = 0; attempt < 10 && blob.size > maxBytes; attempt++) {
+            const ratio = maxBytes / blob.size;
+
+            if (format.paletted && settings.colors > 64) {
+                settings.colors /= 2;
+            } else if (format.lossy && settings.quality > qualityFloor) {
+                settings.quality = Math.max(qualityFloor, settings.quality - 0.15);
+            } else if (settings.scale > 0.6) {
+                settings.scale = Math.max(0.6, settings.scale * Math.sqrt(ratio) * 0.95);
+            } else if (settings.frameStep < original.frameStep + 2 && frameCount / (settings.frameStep + 1) >= 2) {
+                settings.frameStep++;
+            } else {
+                settings.scale *= Math.sqrt(ratio) * 0.95;
+            }
+
+            blob = await this.exportAnimation({ ...options, ...settings });
+        }
+
+        const sacrifices = [];
+        if (settings.colors < original.colors) {
+            sacrifices.push(`colours ${original.colors} → ${settings.colors}`);
+        }
+        if (settings.quality < original.quality) {
+            sacrifices.push(`${format.label} quality ${Math.round(original.quality * 100)}% → ${Math.round(settings.quality * 100)}%`);
+        }
+        if (settings.scale < 1) {
+            const from = this.getGifOutputSize({ ...options, scale: 1 });
+            const to = this.getGifOutputSize({ ...options, scale: settings.scale });
+            sacrifices.push(`dimensions ${from.width}×${from.height} → ${to.width}×${to.height}`);
+        }
+        if (settings.frameStep > original.frameStep) {
+            sacrifices.push(`kept 1 in ${settings.frameStep} frames`);
+        }
+
+        return {
+            blob,
+            mimeType: format.mimeType,
+            extension: format.extension,
+            sacrifices,
+            withinBudget: blob.size <= maxBytes
+        };
+    },
+
+    /**
+     * Video budget: cap the bitrate when the default one would not fit, then shrink if the picture would fall apart
+     */
+    async fitVideoToBudget(options) {
+        const maxBytes = options.maxBytes;
+        const duration = this.getVideoExportDuration(options.duration);
+        const region = this.getExportRegion();
+
+        // Leave some room for container overhead, and for the audio track
+        const audioBitrate = this.getAudioSources(options.audioSource).length > 0 ? this.audioExportBitrate : 0;
+        const audioBytes = audioBitrate * duration / 8;
+        const budgetBitrate = Math.max(100000, Math.floor(maxBytes * 8 * 0.9 / duration) - audioBitrate);
+        let scale = 1;
+
+        const defaultBitrate = () => {
+            const size = this.getVideoExportSize(options.size, region, scale);
+            return this.getDefaultVideoBitrate(size.width, size.height);
+        };
+
+        // Only cap the bitrate when the default wouldn't fit (null keeps the default)
+        let bitrate = budgetBitrate < defaultBitrate() ? budgetBitrate : null;
+
+        const needsShrink = () => {
+            if (!bitrate) return false;
+            const size = this.getVideoExportSize(options.size, region, scale);
+            return bitrate / (size.width * size.height * this.videoExportFps) < this.budgetMinBitsPerPixel;
+        };
+        while (needsShrink() && scale > 0.25) {
+            scale *= 0.75;
+        }
+
+        let result = await this.exportAsVideo(duration, { ...options, bitrate: bitrate || undefined, scale });
+
+        for (let attempt = 0; attempt < 2 && result.blob.size > maxBytes; attempt++) {
+            const current = bitrate || defaultBitrate();
+            bitrate = Math.floor(current * ((maxBytes - audioBytes) / Math.max(1, result.blob.size - audioBytes)) * 0.9);
+            while (needsShrink() && scale > 0.25) {
+                scale *= 0.75;
+            }
+            result = await this.exportAsVideo(duration, { ...options, bitrate, scale });
+        }
+
+        const sacrifices = [];
+        if (bitrate && bitrate < defaultBitrate()) {
+            sacrifices.push(`bitrate capped at ${(bitrate / 1000000).toFixed(1)} Mbps`);
+        }
+        if (scale < 1) {
+            const from = this.getVideoExportSize(options.size, region);
+            const to = this.getVideoExportSize(options.size, region, scale);
+            sacrifices.push(`dimensions ${from.width}×${from.height} → ${to.width}×${to.height}`);
+        }
+
+        return {
+            ...result,
+            sacrifices,
+            withinBudget: result.blob.size <= maxBytes
+        };
+    },
+
+    /**
+     * GIF pixel size - the scene size in CSS pixels unless a size is chosen
      */
-    async exportAsVideo(duration = null) {
+    getGifExportSize(size, region = this.getExportRegion(), scale = 1) {
+        return this.getExportSize(size || `${Math.round(region.width)}x${Math.round(region.height)}`, region, scale);
+    },
+
+    /**
+     * GIF pixel size after the optional width cap
+     * @param {Object} options - { size, scale: see getExportSize(), maxWidth: narrow the output to at most this many pixels }
+     */
+    getGifOutputSize(options = {}, region = this.getExportRegion()) {
+        const scale = options.scale || 1;
+        const base = this.getGifExportSize(options.size, region, scale);
+
+        if (options.maxWidth && base.width > options.maxWidth) {
+            return this.getGifExportSize(options.size, region, scale * options.maxWidth / base.width);
+        }
+        return base;
+    },
+
+    /**
+     * Times (ms) within one common loop at which any of the GIFs changes frame
+     * Changes closer together than minGifFrameDelay are merged, since the file can't hold shorter frames
+     */
+    getGifFrameTimes() {
+        const gifs = this.getGifSources();
+        const duration = this.getGifLoopDuration(gifs);
+        const changes = new Set([0]);
+
+        gifs.forEach(gif => {
+            const length = this.getGifDuration(gif);
+            if (length <= 0) return;
+
+            for (let start = 0; start < duration; start += length) {
+                let time = start;
+                gif.delays.forEach(delay => {
+                    if (time < duration) changes.add(time);
+                    time += delay;
+                });
+            }
+        });
+
+        const times = [];
+        Array.from(changes).sort((a, b) => a - b).forEach(time => {
+            if (times.length === 0 || time - times[times.length - 1] >= this.minGifFrameDelay) {
+                times.push(time);
+            }
+        });
+
+        return { times, duration };
+    },
+
+    /**
+     * Frame rate of the combined animation (frames per second)
+     */
+    getGifFrameRate() {
+        const { times, duration } = this.getGifFrameTimes();
+        return times.length * 1000 / Math.max(1, duration);
+    },
+
+    /**
+     * Work out which frames a GIF export renders and in what order they play
+     * @param {Object} options - See exportAsGif()
+     * @returns {Object} { region, width, height, frames: [{ time, delay }], order: frame indices as played }
+     */
+    planGifExport(options = {}) {
+        const region = this.getExportRegion();
+        const { width, height } = this.getGifOutputSize(options, region);
+        const frameStep = options.frameStep || 1;
+
+        // One output frame per change of any GIF over their common loop, so every GIF
+        // is sampled at its own timing and they all wrap around together
+        const { times, duration } = this.getGifFrameTimes();
+
+        // Skipped frames add their time to the kept one
+        const frames = [];
+        for (let i = 0; i < times.length; i += frameStep) {
+            const end = i + frameStep < times.length ? times[i + frameStep] : duration;
+            frames.push({ time: times[i], delay: end - times[i] });
+        }
+
+        // Ping-pong plays the frames back in reverse, without repeating the two ends
+        const order = frames.map((frame, index) => index);
+        if (options.pingPong && frames.length > 2) {
+            for (let i = frames.length - 2; i > 0; i--) {
+                order.push(i);
+            }
+        }
+
+        return { region, width, height, frames, order };
+    },
+
+    /**
+     * Get an animation export format, falling back to GIF
+     */
+    getAnimationFormat(format) {
+        return this.animationFormats[format] || this.animationFormats.gif;
+    },
+
+    /**
+     * Animated WebP frames come from the browser's WebP encoder, which not every browser has,
+     * and APNG frames are compressed with CompressionStream
+     */
+    isAnimationFormatSupported(format) {
+        if (format === 'webp') return this.isImageFormatSupported('webp');
+        if (format === 'apng') return typeof CompressionStream !== 'undefined';
+        return true;
+    },
+
+    /**
+     * Export the animated composition
+     * @param {Object} options - { animationFormat: key of animationFormats, plus the options of that exporter }
+     */
+    exportAnimation(options = {}) {
+        if (options.animationFormat === 'apng') {
+            return this.exportAsApng(options);
+        }
+        if (options.animationFormat === 'webp') {
+            return this.exportAsAnimatedWebP(options);
+        }
+        return this.exportAsGif(options);
+    },
+
+    /**
+     * Export canvas as animated GIF
+     * Frames are rendered here and quantized/compressed by the GIF encoder workers in parallel
+     * @param {Object} options - { size, scale: see getExportSize(), maxWidth: see getGifOutputSize(),
+     *                             colors: palette size per frame, dither: see GifEncoder.ditherModes,
+     *                             frameStep: keep every nth frame, pingPong: play forwards then backwards,
+     *                             plays: times to play, 0 loops forever,
+     *                             onProgress(encoded, total): after each frame, signal: AbortSignal to cancel }
+     */
+    async exportAsGif(options = {}) {
+        const plan = this.planGifExport(options);
+        const encoded = await this.encodeGifFrames(plan, plan.frames, options);
+
+        console.log('GIF encoding complete!');
+
+        // The file stores repeats after the first play; -1 leaves looping out altogether
+        const plays = options.plays || 0;
+        const repeat = plays === 0 ? 0 : (plays === 1 ? -1 : plays - 1);
+
+        const sequence = plan.order.map(index => ({ ...encoded[index], delay: plan.frames[index].delay }));
+        return new Blob(GifEncoder.assemble({ width: plan.width, height: plan.height, repeat }, sequence), { type: 'image/gif' });
+    },
+
+    /**
+     * Export canvas as animated PNG (full colour and alpha)
+     * @param {Object} options - As exportAsGif(), without colors and dither
+     */
+    async exportAsApng(options = {}) {
+        const plan = this.planGifExport(options);
+        const encoded = await this.encodeAnimationFrames(plan, plan.frames, { format: 'png' }, options);
+
+        const sequence = plan.order.map(index => ({ data: encoded[index], delay: plan.frames[index].delay }));
+        return new Blob(AnimatedImage.buildApng({ width: plan.width, height: plan.height, plays: options.plays }, sequence), { type: 'image/png' });
+    },
+
+    /**
+     * Export canvas as animated WebP
+     * @param {Object} options - As exportAsGif(), with quality (0-1) instead of colors and dither
+     */
+    async exportAsAnimatedWebP(options = {}) {
+        const plan = this.planGifExport(options);
+        const quality = options.quality !== undefined ? options.quality : 0.9;
+        const encoded = await this.encodeAnimationFrames(plan, plan.frames, { format: 'webp', quality }, options);
+
+        const sequence = plan.order.map(index => ({ data: encoded[index], delay: plan.frames[index].delay }));
+        return new Blob(AnimatedImage.buildWebP({ width: plan.width, height: plan.height, plays: options.plays }, sequence), { type: 'image/webp' });
+    },
+
+    /**
+     * Estimate the size of an animation export by encoding a few frames spread over it
+     * @param {Object} options - See exportAnimation()
+     * @returns {Promise<Object>} { bytes, width, height, frames: frames in the file }
+     */
+    async estimateAnimationSize(options = {}) {
+        const plan = this.planGifExport(options);
+        const count = Math.min(this.gifEstimateSamples, plan.frames.length);
+        const samples = [];
+        for (let i = 0; i < count; i++) {
+            samples.push(plan.frames[Math.floor(i * plan.frames.length / count)]);
+        }
+
+        let frameBytes;
+        if (options.animationFormat === 'apng' || options.animationFormat === 'webp') {
+            const quality = options.quality !== undefined ? options.quality : 0.9;
+            const encoded = await this.encodeAnimationFrames(plan, samples, { format: options.animationFormat === 'apng' ? 'png' : 'webp', quality });
+            frameBytes = encoded.reduce((sum, data) => sum + data.length + 40, 0) / count;
+        } else {
+            const encoded = await this.encodeGifFrames(plan, samples, options);
+            frameBytes = encoded.reduce((sum, frame) => sum + frame.palette.length + frame.data.length + 20, 0) / count;
+        }
+
+        return {
+            bytes: Math.round(frameBytes * plan.order.length + 40),
+            width: plan.width,
+            height: plan.height,
+            frames: plan.order.length
+        };
+    },
+
+    /**
+     * Render and encode the given frames of a GIF export plan
+     * @param {Object} options - { colors, dither, onProgress(encoded, total), signal: AbortSignal }
+     * @returns {Promise<Array>} GifEncoder.encodeFrame() results in the same order
+     */
+    async encodeGifFrames(plan, frames, options) {
+        const { width, height, region } = plan;
+        const frameCtx = this.createFrameContext(width, height, { willReadFrequently: true });
+        const signal = options.signal;
+
+        const pool = this.createGifEncoderPool({
+            colors: options.colors || 256,
+            dither: options.dither || 'none'
+        });
+
+        // Cancelling stops the workers and fails the frames they still hold
+        const onAbort = () => this.cancelGifEncoderPool(pool, this.createAbortError('Export was cancelled'));
+        if (signal) signal.addEventListener('abort', onAbort);
+
+        console.log(`Encoding ${frames.length} GIF frames...`);
+
+        let done = 0;
+        const encoded = [];
+        const inFlight = new Set();
+
         try {
-            // If no duration specified, use video duration or default to 10 seconds
-            if (!duration) {
-                if (this.photocardVideo.isVideo && this.photocardVideo.element) {
-                    duration = this.photocardVideo.element.duration;
-                } else if (this.backgroundVideo.isVideo && this.backgroundVideo.element) {
-                    duration = this.backgroundVideo.element.duration;
-                } else {
-                    duration = 10; // Default 10 seconds
+            for (const frame of frames) {
+                // Every queued frame holds its RGBA pixels, so only render ahead of the workers a little
+                while (inFlight.size > this.gifFramesInFlightPerWorker * Math.max(1, pool.workers.length)) {
+                    await Promise.race(inFlight);
                 }
+                this.throwIfExportAborted(signal);
+
+                this.renderScene(frameCtx, { width, height }, frame.time, { region, opaque: true });
+                const pixels = frameCtx.getImageData(0, 0, width, height).data;
+
+                const result = this.encodeGifFrame(pool, pixels, width, height).then(result => {
+                    done++;
+                    if (options.onProgress) options.onProgress(done, frames.length);
+                    return result;
+                });
+                // Frames left behind by a cancel fail quietly
+                const settled = result.then(() => {}, () => {});
+                inFlight.add(settled);
+                settled.then(() => inFlight.delete(settled));
+                encoded.push(result);
+
+                // Let the page show progress between frames
+                await this.yieldToPage();
             }
 
-            // Determine export dimensions - use original video resolution
-            let exportWidth, exportHeight;
-            if (this.photocardVideo.isVideo && this.photocardVideo.element) {
-                exportWidth = this.photocardVideo.element.videoWidth;
-                exportHeight = this.photocardVideo.element.videoHeight;
-            } else if (this.backgroundVideo.isVideo && this.backgroundVideo.element) {
-                exportWidth = this.backgroundVideo.element.videoWidth;
-                exportHeight = this.backgroundVideo.element.videoHeight;
+            return await Promise.all(encoded);
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            this.closeGifEncoderPool(pool);
+        }
+    },
+
+    /**
+     * Render the given frames of an export plan and encode each as a still (PNG or WebP)
+     * for the APNG and animated WebP containers
+     * PNG frames are always RGBA (see AnimatedImage.encodePng()), so they can share one APNG header
+     * @param {Object} encodeOptions - See encodeStill()
+     * @param {Object} options - { onProgress(encoded, total), signal: AbortSignal }
+     * @returns {Promise<Array<Uint8Array>>} Encoded file bytes in the same order
+     */
+    async encodeAnimationFrames(plan, frames, encodeOptions, options = {}) {
+        const { width, height, region } = plan;
+        const png = encodeOptions.format === 'png';
+        const frameCtx = this.createFrameContext(width, height, png ? { willReadFrequently: true } : {});
+        const encoded = [];
+
+        console.log(`Encoding ${frames.length} ${encodeOptions.format.toUpperCase()} frames...`);
+
+        for (const frame of frames) {
+            this.throwIfExportAborted(options.signal);
+
+            // Full-size frames replace the previous one, so transparent areas stay transparent
+            this.renderScene(frameCtx, { width, height }, frame.time, { region, opaque: false });
+            if (png) {
+                const pixels = frameCtx.getImageData(0, 0, width, height).data;
+                encoded.push(await AnimatedImage.encodePng(pixels, width, height));
             } else {
-                // Fallback to canvas dimensions
-                exportWidth = this.canvas.width;
-                exportHeight = this.canvas.height;
-            }
-
-            // Create export canvas at original resolution
-            const exportCanvas = document.createElement('canvas');
-            exportCanvas.width = exportWidth;
-            exportCanvas.height = exportHeight;
-            const exportCtx = exportCanvas.getContext('2d');
-            exportCtx.imageSmoothingEnabled = true;
-            exportCtx.imageSmoothingQuality = 'high';
-
-            // Create a canvas stream from export canvas
-            const stream = exportCanvas.captureStream(30); // 30 fps
-
-            // Check for supported mime types - prioritize mp4 for better compatibility
-            const mimeTypes = [
-                { type: 'video/mp4', ext: 'mp4' },
-                { type: 'video/mp4;codecs=h264', ext: 'mp4' },
-                { type: 'video/webm;codecs=h264', ext: 'mp4' },
-                { type: 'video/webm;codecs=vp9', ext: 'webm' },
-                { type: 'video/webm;codecs=vp8', ext: 'webm' },
-                { type: 'video/webm', ext: 'webm' }
-            ];
-
-            let selectedFormat = { type: 'video/webm', ext: 'webm' };
-            for (const format of mimeTypes) {
-                if (MediaRecorder.isTypeSupported(format.type)) {
-                    selectedFormat = format;
-                    console.log('Using mime type:', format.type);
-                    break;
+                const blob = await this.encodeStill(frameCtx.canvas, encodeOptions);
+                encoded.push(new Uint8Array(await blob.arrayBuffer()));
+            }
+
+            if (options.onProgress) options.onProgress(encoded.length, frames.length);
+        }
+
+        return encoded;
+    },
+
+    /**
+     * Stop an export between frames once its AbortSignal fires
+     */
+    throwIfExportAborted(signal) {
+        if (signal && signal.aborted) {
+            throw this.createAbortError('Export was cancelled');
+        }
+    },
+
+    /**
+     * Give the page a moment to repaint (progress, the Cancel button) during a long export
+     */
+    yieldToPage() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    },
+
+    /**
+     * Offscreen canvas for export frames, so the editor keeps animating untouched
+     */
+    createFrameContext(width, height, contextOptions = {}) {
+        const frameCanvas = document.createElement('canvas');
+        frameCanvas.width = width;
+        frameCanvas.height = height;
+
+        const frameCtx = frameCanvas.getContext('2d', contextOptions);
+        frameCtx.imageSmoothingEnabled = true;
+        frameCtx.imageSmoothingQuality = 'high';
+        return frameCtx;
+    },
+
+    /**
+     * Start the GIF encoder workers
+     * Without workers (or if they fail to start) frames are encoded on the main thread instead
+     * @param {Object} options - { colors, dither } for every frame
+     * @returns {Object} Pool for encodeGifFrame() and closeGifEncoderPool()
+     */
+    createGifEncoderPool(options) {
+        const pool = { options, workers: [], pending: new Map(), nextId: 0 };
+        if (typeof Worker === 'undefined') return pool;
+
+        const count = Math.max(1, Math.min(this.maxGifEncoderWorkers, navigator.hardwareConcurrency || 2));
+
+        try {
+            for (let i = 0; i < count; i++) {
+                const worker = new Worker(this.gifEncoderWorkerUrl);
+
+                worker.onmessage = (e) => {
+                    const job = pool.pending.get(e.data.id);
+                    if (!job) return;
+
+                    pool.pending.delete(e.data.id);
+                    job.pixels = null;
+                    if (e.data.error) {
+                        job.reject(new Error(e.data.error));
+                    } else {
+                        job.resolve(e.data.frame);
+                    }
+                };
+
+                // The worker script failed to load - finish the outstanding frames here
+                worker.onerror = (event) => {
+                    event.preventDefault();
+                    console.warn('GIF encoder worker failed, encoding on the main thread');
+                    this.closeGifEncoderPool(pool);
+
+                    pool.pending.forEach(job => {
+                        const pixels = job.pixels;
+                        job.pixels = null;
+                        this.encodeGifFrame(pool, pixels, job.width, job.height).then(job.resolve, job.reject);
+                    });
+                    pool.pending.clear();
+                };
+
+                pool.workers.push(worker);
+            }
+        } catch (error) {
+            console.warn('GIF encoder workers unavailable, encoding on the main thread:', error);
+            this.closeGifEncoderPool(pool);
+        }
+
+        return pool;
+    },
+
+    /**
+     * Encode one frame on the next worker in turn
+     * @returns {Promise<Object>} See GifEncoder.encodeFrame()
+     */
+    encodeGifFrame(pool, pixels, width, height) {
+        if (pool.workers.length === 0) {
+            return Promise.resolve().then(() => GifEncoder.encodeFrame(pixels, width, height, pool.options));
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = pool.nextId++;
+
+            // Pixels are copied rather than transferred, so they can be re-encoded here if the worker fails
+            pool.pending.set(id, { pixels, width, height, resolve, reject });
+            pool.workers[id % pool.workers.length].postMessage({ id, pixels, width, height, ...pool.options });
+        });
+    },
+
+    /**
+     * Stop the GIF encoder workers
+     */
+    closeGifEncoderPool(pool) {
+        pool.workers.forEach(worker => worker.terminate());
+        pool.workers = [];
+    },
+
+    /**
+     * Stop the GIF encoder workers and fail the frames they were still encoding
+     */
+    cancelGifEncoderPool(pool, error) {
+        this.closeGifEncoderPool(pool);
+        pool.pending.forEach(job => {
+            job.pixels = null;
+            job.reject(error);
+        });
+        pool.pending.clear();
+    },
+
+    /**
+     * Check if current composition has GIF animation
+     */
+    hasGifAnimation() {
+        return this.backgroundGif.isGif || this.photocardLayers.some(layer => layer.gif.isGif);
+    },
+
+    /**
+     * Check if current composition has video
+     */
+    hasVideo() {
+        return this.backgroundVideo.isVideo || this.photocardLayers.some(layer => layer.video.isVideo);
+    },
+
+    /**
+     * Get the first photocard layer holding a loaded video
+     */
+    getFirstVideoLayer() {
+        return this.photocardLayers.find(layer => layer.video.isVideo && layer.video.element) || null;
+    },
+
+    /**
+     * Video element that drives the video export (first photocard video, else the background)
+     */
+    getSourceVideo() {
+        const videoLayer = this.getFirstVideoLayer();
+        if (videoLayer) {
+            return videoLayer.video.element;
+        }
+        return this.backgroundVideo.isVideo ? this.backgroundVideo.element : null;
+    },
+
+    /**
+     * Video export length in seconds - one pass over the timeline, or 10 seconds
+     */
+    getVideoExportDuration(duration = null) {
+        if (duration) return duration;
+
+        return this.getTimelineDuration() / 1000 || 10;
+    },
+
+    /**
+     * Video pixel size - by default fits the source video's resolution,
+     * keeping the aspect ratio of the export region; always even for the encoders
+     */
+    getVideoExportSize(size, region = this.getExportRegion(), scale = 1) {
+        const sourceVideo = this.getSourceVideo();
+        const outputSize = this.getExportSize(
+            size || (sourceVideo ? `${sourceVideo.videoWidth}x${sourceVideo.videoHeight}` : 'screen'),
+            region,
+            scale
+        );
+
+        return {
+            width: Math.max(2, Math.round(outputSize.width / 2) * 2),
+            height: Math.max(2, Math.round(outputSize.height / 2) * 2)
+        };
+    },
+
+    /**
+     * Export canvas as video
+     * Encodes frame by frame with WebCodecs where available, otherwise records in real time
+     * @param {number|null} duration - Length in seconds, defaults to the source video
+     * @param {Object} options - { size, scale: see getVideoExportSize(), bitrate: target bits per second,
+     *                              audioSource: 'photocard', 'background' or 'none', audioVolume: 0-1,
+     *                              onProgress(frames, total), signal: AbortSignal to cancel }
+     */
+    async exportAsVideo(duration = null, options = {}) {
+        return this.withLightHeld(async () => {
+            try {
+                duration = this.getVideoExportDuration(duration);
+
+                // Determine export dimensions
+                const region = this.getExportRegion();
+                const { width, height } = this.getVideoExportSize(options.size, region, options.scale);
+                const job = {
+                    duration,
+                    region,
+                    width,
+                    height,
+                    bitrate: options.bitrate,
+                    audioSources: this.getAudioSources(options.audioSource),
+                    audioVolume: options.audioVolume !== undefined ? options.audioVolume : 1,
+                    onProgress: options.onProgress,
+                    signal: options.signal
+                };
+
+                // Frame-by-frame encoding needs an audio encoder too when audio is wanted
+                const codec = await this.getVideoEncoderCodec(job);
+                if (codec && (job.audioSources.length === 0 || await this.canEncodeAudio())) {
+                    return await this.encodeVideoFrames(job, codec);
                 }
+
+                return await this.recordVideo(job);
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    console.error('Error exporting video:', error);
+                }
+                throw error;
+            }
+        });
+    },
+
+    /**
+     * Pick a WebCodecs codec the muxer can store and the browser can encode at this size
+     * @returns {Promise<string|null>} Codec string, or null when WebCodecs can't be used
+     */
+    async getVideoEncoderCodec(job) {
+        if (typeof VideoEncoder === 'undefined' || typeof VideoFrame === 'undefined' || typeof WebMMuxer === 'undefined') {
+            return null;
+        }
+
+        for (const codec of this.videoEncoderCodecs) {
+            try {
+                const { supported } = await VideoEncoder.isConfigSupported(this.getVideoEncoderConfig(job, codec));
+                if (supported) return codec;
+            } catch (error) {
+                // Malformed or unknown codec string - try the next one
+            }
+        }
+
+        return null;
+    },
+
+    getVideoEncoderConfig(job, codec) {
+        return {
+            codec,
+            width: job.width,
+            height: job.height,
+            framerate: this.videoExportFps,
+            bitrate: job.bitrate || this.getDefaultVideoBitrate(job.width, job.height)
+        };
+    },
+
+    /**
+     * Video bitrate without a budget: roughly what MediaRecorder produces at this size
+     */
+    getDefaultVideoBitrate(width, height) {
+        return Math.round(width * height * this.videoExportFps * 0.1);
+    },
+
+    /**
+     * Video states whose sound goes into the export
+     * @param {string} source - 'photocard' (every photocard video), 'background' or 'none'
+     */
+    getAudioSources(source = 'none') {
+        if (source === 'background') {
+            return this.backgroundVideo.isVideo && this.backgroundVideo.element ? [this.backgroundVideo] : [];
+        }
+        if (source === 'photocard') {
+            return this.photocardLayers
+                .map(layer => layer.video)
+                .filter(video => video.isVideo && video.element);
+        }
+        return [];
+    },
+
+    getAudioContext() {
+        if (!this.audioContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.audioContext = new AudioContextClass();
+        }
+        return this.audioContext;
+    },
+
+    getAudioEncoderConfig() {
+        return {
+            codec: 'opus',
+            sampleRate: this.audioExportSampleRate,
+            numberOfChannels: this.audioExportChannels,
+            bitrate: this.audioExportBitrate
+        };
+    },
+
+    async canEncodeAudio() {
+        if (typeof AudioEncoder === 'undefined' || typeof AudioData === 'undefined' || typeof OfflineAudioContext === 'undefined') {
+            return false;
+        }
+
+        try {
+            const { supported } = await AudioEncoder.isConfigSupported(this.getAudioEncoderConfig());
+            return supported;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Decode the soundtrack of a video's source file
+     * @returns {Promise<AudioBuffer|null>} null when the file has no audio track
+     */
+    async decodeVideoAudio(video, context) {
+        if (!video.originalFile) return null;
+        if (this.decodedAudio.has(video.originalFile)) {
+            return this.decodedAudio.get(video.originalFile);
+        }
+
+        let buffer = null;
+        try {
+            buffer = await context.decodeAudioData(await video.originalFile.arrayBuffer());
+        } catch (error) {
+            console.warn('No audio track in video:', error);
+        }
+
+        this.decodedAudio.set(video.originalFile, buffer);
+        return buffer;
+    },
+
+    /**
+     * Mix the chosen sources' audio for the whole export through an offline Web Audio graph
+     * Sources loop over their trimmed range like their videos do in the editor
+     * @returns {Promise<AudioBuffer|null>} null when none of the sources has sound
+     */
+    async renderExportAudio(job) {
+        if (job.audioSources.length === 0) return null;
+
+        const rate = this.audioExportSampleRate;
+        const context = new OfflineAudioContext(this.audioExportChannels, Math.ceil(job.duration * rate), rate);
+        const gain = context.createGain();
+        gain.gain.value = job.audioVolume;
+        gain.connect(context.destination);
+
+        let hasAudio = false;
+        for (const video of job.audioSources) {
+            const buffer = await this.decodeVideoAudio(video, context);
+            if (!buffer) continue;
+
+            const { start, end } = this.getVideoTrim(video);
+            const node = context.createBufferSource();
+            node.buffer = buffer;
+            node.loop = true;
+            node.loopStart = start;
+            node.loopEnd = end;
+            node.connect(gain);
+            node.start(0, start);
+            hasAudio = true;
+        }
+
+        return hasAudio ? context.startRendering() : null;
+    },
+
+    /**
+     * Encode mixed audio to Opus and add it to the muxer
+     */
+    async encodeAudio(muxer, buffer) {
+        let encoderError = null;
+        const encoder = new AudioEncoder({
+            output: (chunk, metadata) => WebMMuxer.addChunk(muxer, 'audio', chunk, metadata),
+            error: (error) => {
+                encoderError = error;
+            }
+        });
+        encoder.configure(this.getAudioEncoderConfig());
+
+        // Feed one second at a time
+        const rate = buffer.sampleRate;
+        const channels = buffer.numberOfChannels;
+        for (let offset = 0; offset < buffer.length; offset += rate) {
+            const frames = Math.min(rate, buffer.length - offset);
+            const data = new Float32Array(frames * channels);
+            for (let channel = 0; channel < channels; channel++) {
+                data.set(buffer.getChannelData(channel).subarray(offset, offset + frames), channel * frames);
+            }
+
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate: rate,
+                numberOfFrames: frames,
+                numberOfChannels: channels,
+                timestamp: Math.round(offset / rate * 1000000),
+                data
+            });
+            encoder.encode(audioData);
+            audioData.close();
+        }
+
+        try {
+            await encoder.flush();
+            if (encoderError) throw encoderError;
+        } finally {
+            if (encoder.state !== 'closed') {
+                encoder.close();
             }
+        }
+    },
+
+    /**
+     * Route the chosen sources' sound into a recorder stream through a live Web Audio graph
+     * The graph isn't connected to the speakers, so unmuting the elements stays silent
+     * @returns {Function|null} Disconnects the graph again
+     */
+    connectRecorderAudio(job, stream) {
+        if (job.audioSources.length === 0) return null;
+
+        const context = this.getAudioContext();
+        context.resume();
+
+        const destination = context.createMediaStreamDestination();
+        const gain = context.createGain();
+        gain.gain.value = job.audioVolume;
+        gain.connect(destination);
+
+        const elements = job.audioSources.map(video => video.element);
+        elements.forEach(element => {
+            if (!this.audioElementNodes.has(element)) {
+                this.audioElementNodes.set(element, context.createMediaElementSource(element));
+            }
+            this.audioElementNodes.get(element).connect(gain);
+            element.muted = false;
+        });
+
+        destination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
 
-            // No bitrate limit - use default quality for original resolution
-            const mediaRecorder = new MediaRecorder(stream, {
-                mimeType: selectedFormat.type
+        return () => {
+            elements.forEach(element => {
+                this.audioElementNodes.get(element).disconnect(gain);
+                element.muted = true;
             });
+            gain.disconnect();
+        };
+    },
 
-            const chunks = [];
+    /**
+     * GIF states with frames (background first, then photocard layers)
+     */
+    getGifSources() {
+        return [this.backgroundGif, ...this.photocardLayers.map(layer => layer.gif)]
+            .filter(gif => gif.isGif && gif.frames.length > 0);
+    },
 
-            mediaRecorder.ondataavailable = (event) => {
-                if (event.data.size > 0) {
-                    chunks.push(event.data);
-                }
+    /**
+     * Video states in the composition (background first, then photocard layers)
+     */
+    getVideoSources() {
+        return [this.backgroundVideo, ...this.photocardLayers.map(layer => layer.video)]
+            .filter(video => video.isVideo && video.element);
+    },
+
+    /**
+     * Seek a video to a time on the export clock and wait until that frame can be drawn
+     * The clock starts at the in point and wraps at the out point, like the looping preview
+     */
+    seekVideo(video, time) {
+        const element = video.element;
+        const target = this.getVideoTimeAt(video, time);
+
+        return new Promise(resolve => {
+            if (Math.abs(element.currentTime - target) < 0.001 && element.readyState >= 2) {
+                resolve();
+                return;
+            }
+
+            const done = () => {
+                clearTimeout(timeout);
+                element.removeEventListener('seeked', done);
+                resolve();
             };
+            // Don't hang the export on a video that never reports the seek
+            const timeout = setTimeout(done, 2000);
+            element.addEventListener('seeked', done);
+            element.currentTime = target;
+        });
+    },
 
-            // Store original canvas dimensions and context state
-            const originalWidth = this.canvas.width;
-            const originalHeight = this.canvas.height;
-            const dpr = window.devicePixelRatio || 1;
-
-            // Animation loop to render frames to export canvas
-            let animationId;
-            const renderExportFrame = () => {
-                // Clear export canvas
-                exportCtx.clearRect(0, 0, exportWidth, exportHeight);
-
-                // Draw background
-                if (this.backgroundImage) {
-                    const imgWidth = this.backgroundImage.videoWidth || this.backgroundImage.width;
-                    const imgHeight = this.backgroundImage.videoHeight || this.backgroundImage.height;
-                    const imgRatio = imgWidth / imgHeight;
-                    const canvasRatio = exportWidth / exportHeight;
-
-                    let drawWidth, drawHeight, drawX, drawY;
-                    if (imgRatio > canvasRatio) {
-                        drawHeight = exportHeight;
-                        drawWidth = drawHeight * imgRatio;
-                        drawX = (exportWidth - drawWidth) / 2;
-                        drawY = 0;
-                    } else {
-                        drawWidth = exportWidth;
-                        drawHeight = drawWidth / imgRatio;
-                        drawX = 0;
-                        drawY = (exportHeight - drawHeight) / 2;
-                    }
-                    exportCtx.drawImage(this.backgroundImage, drawX, drawY, drawWidth, drawHeight);
-                } else {
-                    exportCtx.fillStyle = this.backgroundColor;
-                    exportCtx.fillRect(0, 0, exportWidth, exportHeight);
+    /**
+     * Encode the export frame by frame: seek every video to the frame time, render, encode
+     * Runs as fast as the device can seek and encode, independent of playback speed
+     */
+    async encodeVideoFrames(job, codec) {
+        const { duration, region, width, height } = job;
+        const fps = this.videoExportFps;
+        const frameCount = Math.max(1, Math.round(duration * fps));
+
+        const exportCanvas = document.createElement('canvas');
+        exportCanvas.width = width;
+        exportCanvas.height = height;
+        const exportCtx = exportCanvas.getContext('2d');
+        exportCtx.imageSmoothingEnabled = true;
+        exportCtx.imageSmoothingQuality = 'high';
+
+        // Audio is mixed up front, so the muxer knows whether there is a track
+        const audioBuffer = await this.renderExportAudio(job);
+        const muxer = WebMMuxer.create({
+            video: { codec, width, height },
+            audio: audioBuffer ? {
+                codec: 'opus',
+                sampleRate: audioBuffer.sampleRate,
+                channels: audioBuffer.numberOfChannels
+            } : null
+        });
+        let encoderError = null;
+        const encoder = new VideoEncoder({
+            output: (chunk, metadata) => WebMMuxer.addChunk(muxer, 'video', chunk, metadata),
+            error: (error) => {
+                encoderError = error;
+            }
+        });
+        encoder.configure(this.getVideoEncoderConfig(job, codec));
+
+        // Take the videos off the timeline while seeking through them
+        const videos = this.getVideoSources();
+        this.suspendTimeline();
+        videos.forEach(video => video.element.pause());
+
+        console.log(`Encoding ${frameCount} frames at ${width}x${height} (${codec})...`);
+
+        try {
+            for (let i = 0; i < frameCount; i++) {
+                if (encoderError) throw encoderError;
+                this.throwIfExportAborted(job.signal);
+
+                const time = i / fps;
+                await Promise.all(videos.map(video => this.seekVideo(video, time)));
+                this.renderScene(exportCtx, { width, height }, time * 1000, { region, opaque: true });
+
+                const frame = new VideoFrame(exportCanvas, {
+                    timestamp: Math.round(time * 1000000),
+                    duration: Math.round(1000000 / fps)
+                });
+                encoder.encode(frame, { keyFrame: i % (fps * this.videoKeyframeInterval) === 0 });
+                frame.close();
+
+                // Let the encoder catch up instead of queueing every frame in memory
+                while (encoder.encodeQueueSize > 2) {
+                    await new Promise(resolve => setTimeout(resolve, 1));
                 }
 
-                // Draw photocard if exists
-                if (this.photocardImage) {
-                    const pcWidth = this.photocardImage.videoWidth || this.photocardImage.width;
-                    const pcHeight = this.photocardImage.videoHeight || this.photocardImage.height;
-
-                    // Scale photocard position and size relative to export dimensions
-                    const scaleX = exportWidth / (originalWidth / dpr);
-                    const scaleY = exportHeight / (originalHeight / dpr);
-                    const scale = Math.min(scaleX, scaleY);
-
-                    const scaledPcScale = this.photocard.scale * scale;
-                    const scaledWidth = pcWidth * scaledPcScale;
-                    const scaledHeight = pcHeight * scaledPcScale;
-                    const scaledX = this.photocard.x * scaleX;
-                    const scaledY = this.photocard.y * scaleY;
-
-                    exportCtx.save();
-                    exportCtx.translate(scaledX, scaledY);
-                    exportCtx.rotate(this.photocard.rotation);
-
-                    // Apply border radius if set
-                    if (this.photocard.borderRadius > 0) {
-                        const radius = this.photocard.borderRadius * scale;
-                        exportCtx.beginPath();
-                        exportCtx.roundRect(-scaledWidth / 2, -scaledHeight / 2, scaledWidth, scaledHeight, radius);
-                        exportCtx.clip();
-                    }
+                if (job.onProgress) job.onProgress(i + 1, frameCount);
+            }
+
+            await encoder.flush();
+            if (encoderError) throw encoderError;
+
+            if (audioBuffer) {
+                await this.encodeAudio(muxer, audioBuffer);
+            }
+        } finally {
+            if (encoder.state !== 'closed') {
+                encoder.close();
+            }
+
+            this.resumeTimeline();
+        }
+
+        console.log(`Video encoding complete! Resolution: ${width}x${height}`);
+        return {
+            blob: WebMMuxer.finalize(muxer),
+            mimeType: 'video/webm',
+            extension: 'webm'
+        };
+    },
+
+    /**
+     * Record the export in real time with MediaRecorder (browsers without WebCodecs)
+     * Progress follows the clock; cancelling stops the recording and discards it
+     */
+    async recordVideo(job) {
+        const { duration, region, width: exportWidth, height: exportHeight } = job;
+
+        // Record the timeline live from its start, then return the editor to where it was
+        const previous = { time: this.timeline.time, playing: this.timeline.playing };
+        const restoreTimeline = () => {
+            this.seekTimeline(previous.time);
+            if (!previous.playing) {
+                this.pauseTimeline();
+            }
+        };
+
+        await Promise.all(this.getVideoSources().map(video => this.seekVideo(video, 0)));
+        this.seekTimeline(0);
+        this.playTimeline();
+
+        // Create export canvas
+        const exportCanvas = document.createElement('canvas');
+        exportCanvas.width = exportWidth;
+        exportCanvas.height = exportHeight;
+        const exportCtx = exportCanvas.getContext('2d');
+        exportCtx.imageSmoothingEnabled = true;
+        exportCtx.imageSmoothingQuality = 'high';
+
+        // Create a canvas stream from export canvas, plus the chosen audio
+        const stream = exportCanvas.captureStream(this.videoExportFps);
+        const disconnectAudio = this.connectRecorderAudio(job, stream);
+
+        // Check for supported mime types - prioritize mp4 for better compatibility
+        const mimeTypes = [
+            { type: 'video/mp4', ext: 'mp4' },
+            { type: 'video/mp4;codecs=h264', ext: 'mp4' },
+            { type: 'video/webm;codecs=h264', ext: 'mp4' },
+            { type: 'video/webm;codecs=vp9', ext: 'webm' },
+            { type: 'video/webm;codecs=vp8', ext: 'webm' },
+            { type: 'video/webm', ext: 'webm' }
+        ];
+
+        let selectedFormat = { type: 'video/webm', ext: 'webm' };
+        for (const format of mimeTypes) {
+            if (MediaRecorder.isTypeSupported(format.type)) {
+                selectedFormat = format;
+                console.log('Using mime type:', format.type);
+                break;
+            }
+        }
 
-                    exportCtx.drawImage(this.photocardImage, -scaledWidth / 2, -scaledHeight / 2, scaledWidth, scaledHeight);
-                    exportCtx.restore();
+        // No bitrate limit unless one is given - use default quality for the resolution
+        const recorderOptions = { mimeType: selectedFormat.type };
+        if (job.bitrate) {
+            recorderOptions.videoBitsPerSecond = job.bitrate;
+        }
+        if (disconnectAudio) {
+            recorderOptions.audioBitsPerSecond = this.audioExportBitrate;
+        }
+        const mediaRecorder = new MediaRecorder(stream, recorderOptions);
 
-                    // Draw toploader if enabled (outside the border radius clip)
-                    if (this.photocard.showToploader) {
-                        const originalCtx = this.ctx;
-                        this.ctx = exportCtx;
+        const chunks = [];
 
-                        exportCtx.save();
-                        exportCtx.translate(scaledX, scaledY);
-                        exportCtx.rotate(this.photocard.rotation);
+        mediaRecorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
 
-                        // Apply scale (including flip) to match regular rendering
-                        const flipH = this.photocard.flipH ? -1 : 1;
-                        const flipV = this.photocard.flipV ? -1 : 1;
-                        exportCtx.scale(scaledPcScale * flipH, scaledPcScale * flipV);
+        // Animation loop to render frames to export canvas
+        let animationId;
+        const renderExportFrame = () => {
+            this.renderScene(exportCtx, { width: exportWidth, height: exportHeight }, null, { region, opaque: true });
+            animationId = requestAnimationFrame(renderExportFrame);
+        };
 
-                        this.drawToploader(pcWidth, pcHeight);
+        const frameCount = Math.max(1, Math.round(duration * this.videoExportFps));
+        let startTime = 0;
+        let progressTimer = null;
+        let stopTimer = null;
+        let cancelled = false;
 
-                        exportCtx.restore();
-                        this.ctx = originalCtx;
-                    }
+        const stopRecording = () => {
+            clearTimeout(stopTimer);
+            if (mediaRecorder.state !== 'inactive') {
+                mediaRecorder.stop();
+            }
+            // Stop all tracks in the stream
+            stream.getTracks().forEach(track => track.stop());
+        };
+        const onAbort = () => {
+            cancelled = true;
+            stopRecording();
+        };
+
+        return new Promise((resolve, reject) => {
+            const cleanUp = () => {
+                // Stop animation loop
+                if (animationId) {
+                    cancelAnimationFrame(animationId);
+                }
+                if (disconnectAudio) {
+                    disconnectAudio();
+                }
+                clearInterval(progressTimer);
+                if (job.signal) job.signal.removeEventListener('abort', onAbort);
+                restoreTimeline();
+            };
+
+            mediaRecorder.onstop = () => {
+                cleanUp();
+
+                if (cancelled) {
+                    reject(this.createAbortError('Export was cancelled'));
+                    return;
                 }
 
-                animationId = requestAnimationFrame(renderExportFrame);
+                const blob = new Blob(chunks, { type: selectedFormat.type });
+                console.log(`Video encoding complete! Resolution: ${exportWidth}x${exportHeight}`);
+                resolve({
+                    blob: blob,
+                    mimeType: selectedFormat.type,
+                    extension: selectedFormat.ext
+                });
             };
 
-            return new Promise((resolve, reject) => {
-                mediaRecorder.onstop = () => {
-                    // Stop animation loop
-                    if (animationId) {
-                        cancelAnimationFrame(animationId);
-                    }
+            mediaRecorder.onerror = (error) => {
+                cleanUp();
+                console.error('MediaRecorder error:', error);
+                reject(error);
+            };
 
-                    const blob = new Blob(chunks, { type: selectedFormat.type });
-                    console.log(`Video encoding complete! Resolution: ${exportWidth}x${exportHeight}`);
-                    resolve({
-                        blob: blob,
-                        mimeType: selectedFormat.type,
-                        extension: selectedFormat.ext
-                    });
-                };
+            if (job.signal && job.signal.aborted) {
+                cleanUp();
+                reject(this.createAbortError('Export was cancelled'));
+                return;
+            }
+            if (job.signal) job.signal.addEventListener('abort', onAbort);
 
-                mediaRecorder.onerror = (error) => {
-                    if (animationId) {
-                        cancelAnimationFrame(animationId);
-                    }
-                    console.error('MediaRecorder error:', error);
-                    reject(error);
-                };
+            // Start animation loop
+            renderExportFrame();
 
-                // Start animation loop
-                renderExportFrame();
+            // Start recording
+            mediaRecorder.start();
+            startTime = performance.now();
+            console.log(`Recording video at ${exportWidth}x${exportHeight} for ${duration} seconds...`);
 
-                // Start recording
-                mediaRecorder.start();
-                console.log(`Recording video at ${exportWidth}x${exportHeight} for ${duration} seconds...`);
+            if (job.onProgress) {
+                progressTimer = setInterval(() => {
+                    const elapsed = (performance.now() - startTime) / 1000;
+                    job.onProgress(Math.min(frameCount, Math.round(elapsed * this.videoExportFps)), frameCount);
+                }, 250);
+            }
 
-                // Stop after duration
-                setTimeout(() => {
-                    mediaRecorder.stop();
-                    // Stop all tracks in the stream
-                    stream.getTracks().forEach(track => track.stop());
-                }, duration * 1000);
-            });
-        } catch (error) {
-            console.error('Error exporting video:', error);
-            throw error;
-        }
+            // Stop after duration
+            stopTimer = setTimeout(stopRecording, duration * 1000);
+        });
     },
 
     /**
@@ -0,0 +1,34 @@
+/**
+ * gif-decoder-worker.js
+ * Decodes a GIF off the main thread and streams its frames back one at a time
+ *
+ * Messages in:  { buffer: ArrayBuffer }
+ * Messages out: { type: 'info', width, height, total }
+ *               { type: 'frame', index, delay, bitmap: ImageBitmap }
+ *               { type: 'done' } or { type: 'error', message }
+ *
+ * The page cancels a decode by terminating the worker.
+ */
+
+importScripts('https://cdn.jsdelivr.net/npm/omggif@1.0.10/omggif.min.js', 'gif-decoder.js');
+
+self.onmessage = async (e) => {
+    try {
+        const decoded = GifDecoder.decode(e.data.buffer);
+        const { width, height, frames } = decoded;
+        const screen = GifDecoder.createScreen(width, height);
+
+        self.postMessage({ type: 'info', width, height, total: frames.length });
+
+        for (let index = 0; index < frames.length; index++) {
+            const pixels = GifDecoder.composeFrame(screen, frames[index]);
+            const bitmap = await createImageBitmap(new ImageData(pixels, width, height));
+
+            self.postMessage({ type: 'frame', index, delay: frames[index].delay, bitmap }, [bitmap]);
+        }
+
+        self.postMessage({ type: 'done' });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,165 @@
+/**
+ * gif-decoder.js
+ * GIF frame decoding and compositing, shared by the page and the decoder worker
+ *
+ * Frames are composited on the GIF's logical screen, so each one comes out as
+ * the full picture as shown rather than the patch stored in the file.
+ */
+
+const GifDecoder = {
+    /**
+     * Find the gifuct-js export, which has gone by several names
+     */
+    getGifuct() {
+        const scope = typeof self !== 'undefined' ? self : globalThis;
+        return scope.gifuct || scope.GifuctJs || null;
+    },
+
+    /**
+     * Read frame patches and timing with whichever GIF library is loaded
+     * gifuct-js is preferred; omggif is used where gifuct isn't available (the worker)
+     * @returns {Object} { width, height, frames: see composeFrame() }
+     */
+    decode(arrayBuffer) {
+        const gifuctLib = this.getGifuct();
+        let decoded;
+
+        if (gifuctLib) {
+            decoded = this.decodeWithGifuct(gifuctLib, arrayBuffer);
+        } else if (typeof GifReader !== 'undefined') {
+            decoded = this.decodeWithOmggif(arrayBuffer);
+        } else {
+            throw new Error('GIF parser library not loaded. Please reload the page.');
+        }
+
+        if (decoded.frames.length === 0) {
+            throw new Error('GIF has no frames');
+        }
+
+        return decoded;
+    },
+
+    /**
+     * Read frame patches and timing with gifuct-js
+     */
+    decodeWithGifuct(gifuctLib, arrayBuffer) {
+        const gif = gifuctLib.parseGIF(arrayBuffer);
+        const frames = gifuctLib.decompressFrames(gif, true);
+        const width = gif.lsd.width;
+        const height = gif.lsd.height;
+
+        return {
+            width,
+            height,
+            frames: frames.map(frame => ({
+                left: frame.dims.left,
+                top: frame.dims.top,
+                width: frame.dims.width,
+                height: frame.dims.height,
+                disposal: frame.disposalType || 0,
+                // gifuct already converts the delay to ms
+                delay: frame.delay || 100,
+                // Transparent pixels come out with alpha 0 and leave the screen as it is
+                blit: (screen) => {
+                    const patch = frame.patch;
+                    for (let y = 0; y < frame.dims.height; y++) {
+                        const screenY = frame.dims.top + y;
+                        if (screenY < 0 || screenY >= height) continue;
+
+                        for (let x = 0; x < frame.dims.width; x++) {
+                            const screenX = frame.dims.left + x;
+                            if (screenX < 0 || screenX >= width) continue;
+
+                            const from = (y * frame.dims.width + x) * 4;
+                            if (patch[from + 3] === 0) continue;
+
+                            const to = (screenY * width + screenX) * 4;
+                            screen[to] = patch[from];
+                            screen[to + 1] = patch[from + 1];
+                            screen[to + 2] = patch[from + 2];
+                            screen[to + 3] = patch[from + 3];
+                        }
+                    }
+                }
+            }))
+        };
+    },
+
+    /**
+     * Read frames and timing with omggif
+     * Frames are only decompressed when blitted, so decoding can be spread over time
+     */
+    decodeWithOmggif(arrayBuffer) {
+        const reader = new GifReader(new Uint8Array(arrayBuffer));
+        const frames = [];
+
+        for (let i = 0; i < reader.numFrames(); i++) {
+            const info = reader.frameInfo(i);
+            frames.push({
+                left: info.x,
+                top: info.y,
+                width: info.width,
+                height: info.height,
+                disposal: info.disposal || 0,
+                // omggif reports centiseconds
+                delay: (info.delay || 10) * 10,
+                // omggif only writes the frame's opaque pixels
+                blit: (screen) => reader.decodeAndBlitFrameRGBA(i, screen)
+            });
+        }
+
+        return { width: reader.width, height: reader.height, frames };
+    },
+
+    /**
+     * Create an empty (transparent) logical screen to composite on
+     */
+    createScreen(width, height) {
+        return { width, height, pixels: new Uint8ClampedArray(width * height * 4) };
+    },
+
+    /**
+     * Draw the next frame on the screen and dispose of it
+     * Each frame is drawn over what the previous frames left behind, then disposed:
+     * 2 clears its rectangle to transparent, 3 restores the screen from before it was drawn
+     * @param {Object} screen - From createScreen()
+     * @param {Object} frame - { left, top, width, height, disposal, blit(pixels): draws the frame's opaque pixels onto an RGBA buffer }
+     * @returns {Uint8ClampedArray} RGBA pixels of the full screen for this frame
+     */
+    composeFrame(screen, frame) {
+        const { width, height, pixels } = screen;
+        const previous = frame.disposal === 3 ? pixels.slice() : null;
+
+        frame.blit(pixels);
+        const composed = pixels.slice();
+
+        if (frame.disposal === 2) {
+            const left = Math.max(0, frame.left);
+            const right = Math.min(width, frame.left + frame.width);
+            const top = Math.max(0, frame.top);
+            const bottom = Math.min(height, frame.top + frame.height);
+
+            for (let y = top; y < bottom; y++) {
+                pixels.fill(0, (y * width + left) * 4, (y * width + right) * 4);
+            }
+        } else if (previous) {
+            pixels.set(previous);
+        }
+
+        return composed;
+    },
+
+    /**
+     * Composite every frame of a decoded GIF
+     * @returns {Array<Uint8ClampedArray>} RGBA pixels of the full screen for every frame
+     */
+    composeFrames(decoded) {
+        const screen = this.createScreen(decoded.width, decoded.height);
+        return decoded.frames.map(frame => this.composeFrame(screen, frame));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GifDecoder;
+}
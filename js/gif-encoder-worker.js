@@ -0,0 +1,22 @@
+/**
+ * gif-encoder-worker.js
+ * Encodes GIF frames off the main thread
+ *
+ * Messages in:  { id, pixels: RGBA Uint8ClampedArray, width, height, colors, dither }
+ * Messages out: { id, frame: see GifEncoder.encodeFrame() } or { id, error }
+ *
+ * Ships with the app (no CDN), so GIF export keeps working offline.
+ */
+
+importScripts('gif-encoder.js');
+
+self.onmessage = (e) => {
+    const { id, pixels, width, height, colors, dither } = e.data;
+
+    try {
+        const frame = GifEncoder.encodeFrame(pixels, width, height, { colors, dither });
+        self.postMessage({ id, frame }, [frame.palette.buffer, frame.data.buffer]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
@@ -0,0 +1,362 @@
+/**
+ * gif-encoder.js
+ * Animated GIF encoding, shared by the page and the encoder workers
+ *
+ * Every frame gets its own palette (median cut over a 15-bit colour histogram),
+ * optionally dithered, and is LZW-compressed on its own. Frames are independent,
+ * so they can be encoded in parallel and stitched together with assemble().
+ */
+
+const GifEncoder = {
+    // Dithering choices for encodeFrame()
+    ditherModes: ['none', 'ordered', 'floyd-steinberg'],
+
+    // 4x4 Bayer matrix for ordered dithering
+    bayer: [
+        0, 8, 2, 10,
+        12, 4, 14, 6,
+        3, 11, 1, 9,
+        15, 7, 13, 5
+    ],
+
+    /**
+     * Quantize, dither and compress one frame
+     * @param {Uint8ClampedArray} pixels - RGBA pixels (alpha is ignored, frames are opaque)
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} options - { colors: palette size (2-256), dither: one of ditherModes }
+     * @returns {Object} { palette: RGB bytes, tableBits, minCodeSize, data: LZW sub-blocks }
+     */
+    encodeFrame(pixels, width, height, options = {}) {
+        const colors = Math.max(2, Math.min(256, Math.round(options.colors || 256)));
+        const palette = this.quantize(pixels, colors);
+        const indexed = this.mapPixels(pixels, width, height, palette, options.dither || 'none');
+
+        // The colour table size is a power of two, and LZW codes start at 2 bits or more
+        let tableBits = 1;
+        while ((1 << tableBits) < palette.length) {
+            tableBits++;
+        }
+
+        const table = new Uint8Array(3 << tableBits);
+        palette.forEach((color, i) => table.set(color, i * 3));
+
+        const minCodeSize = Math.max(2, tableBits);
+
+        return {
+            palette: table,
+            tableBits,
+            minCodeSize,
+            data: this.lzwEncode(indexed, minCodeSize)
+        };
+    },
+
+    /**
+     * Build a palette with median cut
+     * Colours are bucketed at 5 bits per channel; boxes are split along their widest
+     * channel at the pixel-weighted median until there are enough of them
+     * @returns {Array<Array<number>>} [r, g, b] entries
+     */
+    quantize(pixels, colors) {
+        const counts = new Uint32Array(32768);
+        const sums = new Float64Array(32768 * 3);
+
+        for (let i = 0; i < pixels.length; i += 4) {
+            const key = ((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3);
+            counts[key]++;
+            sums[key * 3] += pixels[i];
+            sums[key * 3 + 1] += pixels[i + 1];
+            sums[key * 3 + 2] += pixels[i + 2];
+        }
+
+        const bins = [];
+        for (let key = 0; key < 32768; key++) {
+            const count = counts[key];
+            if (count === 0) continue;
+            bins.push([sums[key * 3] / count, sums[key * 3 + 1] / count, sums[key * 3 + 2] / count, count]);
+        }
+
+        const boxes = [this.createBox(bins)];
+
+        while (boxes.length < colors) {
+            // Split the box that covers the most pixels over the widest range
+            let target = -1;
+            let best = 0;
+            boxes.forEach((box, i) => {
+                const score = box.range * box.count;
+                if (box.bins.length > 1 && score > best) {
+                    best = score;
+                    target = i;
+                }
+            });
+            if (target === -1) break;
+
+            const box = boxes[target];
+            const axis = box.axis;
+            box.bins.sort((a, b) => a[axis] - b[axis]);
+
+            let split = 0;
+            let seen = 0;
+            while (split < box.bins.length - 1 && seen + box.bins[split][3] <= box.count / 2) {
+                seen += box.bins[split][3];
+                split++;
+            }
+            split = Math.max(1, split);
+
+            boxes.splice(target, 1, this.createBox(box.bins.slice(0, split)), this.createBox(box.bins.slice(split)));
+        }
+
+        return boxes.map(box => {
+            const color = [0, 0, 0];
+            box.bins.forEach(bin => {
+                color[0] += bin[0] * bin[3];
+                color[1] += bin[1] * bin[3];
+                color[2] += bin[2] * bin[3];
+            });
+            return color.map(value => Math.round(value / Math.max(1, box.count)));
+        });
+    },
+
+    /**
+     * Describe a set of histogram bins: pixel count and its widest channel
+     */
+    createBox(bins) {
+        const min = [255, 255, 255];
+        const max = [0, 0, 0];
+        let count = 0;
+
+        bins.forEach(bin => {
+            for (let c = 0; c < 3; c++) {
+                min[c] = Math.min(min[c], bin[c]);
+                max[c] = Math.max(max[c], bin[c]);
+            }
+            count += bin[3];
+        });
+
+        const ranges = max.map((value, c) => Math.max(0, value - min[c]));
+        const axis = ranges.indexOf(Math.max(...ranges));
+
+        return { bins, count, axis, range: ranges[axis] };
+    },
+
+    /**
+     * Map pixels to palette indices, dithering if asked to
+     * @returns {Uint8Array} Palette index per pixel
+     */
+    mapPixels(pixels, width, height, palette, dither) {
+        const indexed = new Uint8Array(width * height);
+
+        // Nearest-colour lookups are cached per 15-bit colour
+        const cache = new Int16Array(32768).fill(-1);
+        const nearest = (r, g, b) => {
+            r = r < 0 ? 0 : r > 255 ? 255 : r;
+            g = g < 0 ? 0 : g > 255 ? 255 : g;
+            b = b < 0 ? 0 : b > 255 ? 255 : b;
+
+            const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+            if (cache[key] !== -1) return cache[key];
+
+            let index = 0;
+            let best = Infinity;
+            for (let i = 0; i < palette.length; i++) {
+                const dr = palette[i][0] - r;
+                const dg = palette[i][1] - g;
+                const db = palette[i][2] - b;
+                const distance = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+                if (distance < best) {
+                    best = distance;
+                    index = i;
+                }
+            }
+
+            cache[key] = index;
+            return index;
+        };
+
+        if (dither === 'floyd-steinberg') {
+            // Error carried to the current and next row, 3 channels per pixel
+            let current = new Float32Array((width + 2) * 3);
+            let next = new Float32Array((width + 2) * 3);
+
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const p = (y * width + x) * 4;
+                    const e = (x + 1) * 3;
+                    const r = pixels[p] + current[e];
+                    const g = pixels[p + 1] + current[e + 1];
+                    const b = pixels[p + 2] + current[e + 2];
+
+                    const index = nearest(Math.round(r), Math.round(g), Math.round(b));
+                    indexed[y * width + x] = index;
+
+                    const error = [r - palette[index][0], g - palette[index][1], b - palette[index][2]];
+                    for (let c = 0; c < 3; c++) {
+                        current[e + 3 + c] += error[c] * 7 / 16;
+                        next[e - 3 + c] += error[c] * 3 / 16;
+                        next[e + c] += error[c] * 5 / 16;
+                        next[e + 3 + c] += error[c] / 16;
+                    }
+                }
+
+                [current, next] = [next, current];
+                next.fill(0);
+            }
+        } else if (dither === 'ordered') {
+            // Spread the threshold over about one palette step per channel
+            const spread = 255 / Math.cbrt(palette.length);
+
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const p = (y * width + x) * 4;
+                    const offset = ((this.bayer[(y & 3) * 4 + (x & 3)] + 0.5) / 16 - 0.5) * spread;
+                    indexed[y * width + x] = nearest(
+                        Math.round(pixels[p] + offset),
+                        Math.round(pixels[p + 1] + offset),
+                        Math.round(pixels[p + 2] + offset)
+                    );
+                }
+            }
+        } else {
+            for (let i = 0; i < indexed.length; i++) {
+                indexed[i] = nearest(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2]);
+            }
+        }
+
+        return indexed;
+    },
+
+    /**
+     * LZW-compress palette indices into GIF data sub-blocks
+     * @returns {Uint8Array} Sub-blocks (up to 255 bytes each) and the block terminator
+     */
+    lzwEncode(indexed, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+
+        let output = new Uint8Array(Math.max(256, indexed.length >> 1));
+        let length = 0;
+        let bitBuffer = 0;
+        let bitCount = 0;
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let dictionary = new Map();
+
+        const pushByte = (byte) => {
+            if (length === output.length) {
+                const grown = new Uint8Array(output.length * 2);
+                grown.set(output);
+                output = grown;
+            }
+            output[length++] = byte;
+        };
+
+        // Codes are packed least significant bit first
+        const writeCode = (code) => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                pushByte(bitBuffer & 0xFF);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        writeCode(clearCode);
+
+        let prefix = indexed[0];
+        for (let i = 1; i < indexed.length; i++) {
+            const value = indexed[i];
+            const key = (prefix << 8) | value;
+            const code = dictionary.get(key);
+
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            writeCode(prefix);
+
+            if (nextCode < 4096) {
+                dictionary.set(key, nextCode++);
+                // The decoder widens its codes one entry later than we add them
+                if (nextCode > (1 << codeSize) && codeSize < 12) {
+                    codeSize++;
+                }
+            } else {
+                // Table full - start over
+                writeCode(clearCode);
+                dictionary = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            }
+
+            prefix = value;
+        }
+
+        writeCode(prefix);
+        writeCode(endCode);
+        if (bitCount > 0) {
+            pushByte(bitBuffer & 0xFF);
+        }
+
+        // Split into sub-blocks
+        const blocks = new Uint8Array(length + Math.ceil(length / 255) + 1);
+        let offset = 0;
+        for (let i = 0; i < length; i += 255) {
+            const size = Math.min(255, length - i);
+            blocks[offset++] = size;
+            blocks.set(output.subarray(i, i + size), offset);
+            offset += size;
+        }
+        blocks[offset] = 0;
+
+        return blocks;
+    },
+
+    /**
+     * Stitch encoded frames into a GIF file
+     * @param {Object} options - { width, height, repeat: 0 loops forever, n plays n extra times, -1 plays once }
+     * @param {Array} frames - encodeFrame() results with a delay (ms)
+     * @returns {Array<Uint8Array>} File parts for a Blob
+     */
+    assemble(options, frames) {
+        const { width, height } = options;
+        const repeat = options.repeat === undefined ? 0 : options.repeat;
+        const parts = [];
+        const uint16 = (value) => [value & 0xFF, (value >> 8) & 0xFF];
+
+        // Header and logical screen (no global colour table, 8-bit colour resolution)
+        parts.push(new TextEncoder().encode('GIF89a'));
+        parts.push(new Uint8Array([...uint16(width), ...uint16(height), 0x70, 0, 0]));
+
+        // Looping (NETSCAPE2.0 application extension)
+        if (repeat >= 0) {
+            parts.push(new Uint8Array([0x21, 0xFF, 0x0B]));
+            parts.push(new TextEncoder().encode('NETSCAPE2.0'));
+            parts.push(new Uint8Array([0x03, 0x01, ...uint16(repeat), 0x00]));
+        }
+
+        frames.forEach(frame => {
+            // Browsers treat delays under 20ms as 100ms, so keep them at 2 centiseconds or more
+            const delay = Math.max(2, Math.round((frame.delay || 100) / 10));
+
+            // Graphic control: leave the frame in place (disposal 1), no transparency
+            parts.push(new Uint8Array([0x21, 0xF9, 0x04, 0x04, ...uint16(delay), 0x00, 0x00]));
+
+            // Image descriptor with a local colour table
+            parts.push(new Uint8Array([0x2C, 0, 0, 0, 0, ...uint16(width), ...uint16(height), 0x80 | (frame.tableBits - 1)]));
+            parts.push(frame.palette);
+            parts.push(new Uint8Array([frame.minCodeSize]));
+            parts.push(frame.data);
+        });
+
+        parts.push(new Uint8Array([0x3B]));
+
+        return parts;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GifEncoder;
+}
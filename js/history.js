@@ -0,0 +1,192 @@
+/**
+ * history.js
+ * Undo/redo history for canvas edits
+ *
+ * Every finished edit is committed as a snapshot of the composition (see CanvasManager.captureState).
+ * Gestures commit once when the finger lifts, slider drags and wheel zooms are coalesced into one step.
+ * Snapshots hold media by reference, so history is also capped by the decoded media it keeps alive,
+ * and GIF frames and videos are released once no step uses them.
+ */
+
+const HistoryManager = {
+    undoStack: [],
+    redoStack: [],
+    current: null,
+    lastKey: null,
+    lastCommitTime: 0,
+    restoring: false,
+    paused: 0,
+    listeners: [],
+
+    // Maximum number of undo steps kept in memory
+    maxEntries: 50,
+
+    // Maximum decoded media (bytes) kept alive by the undo steps, e.g. GIF frame bitmaps
+    maxMediaBytes: 256 * 1024 * 1024,
+
+    // Edits with the same key inside this window (ms) are merged when coalescing
+    coalesceWindow: 1000,
+
+    /**
+     * Initialize the history manager
+     */
+    init(canvasInstance) {
+        this.canvas = canvasInstance;
+        this.clear();
+    },
+
+    /**
+     * Commit the current canvas state as a new history step
+     * @param {string} key - Kind of edit
+     * @param {Object} options - { coalesce: merge with a recent edit of the same key, merge: fold into the current step }
+     */
+    commit(key, options = {}) {
+        if (this.restoring || this.paused > 0 || !this.canvas) return;
+
+        const state = this.canvas.captureState();
+        if (this.canvas.isSameState(state, this.current)) return;
+
+        const now = performance.now();
+        const coalesce = options.coalesce &&
+            key === this.lastKey &&
+            now - this.lastCommitTime < this.coalesceWindow;
+
+        const discarded = this.redoStack;
+        if (!options.merge && !coalesce && this.current) {
+            this.undoStack.push(this.current);
+            if (this.undoStack.length > this.maxEntries) {
+                discarded.push(this.undoStack.shift());
+            }
+        } else if (this.current) {
+            discarded.push(this.current);
+        }
+
+        this.redoStack = [];
+        this.current = state;
+        this.lastKey = key;
+        this.lastCommitTime = now;
+        this.trimMedia(discarded);
+
+        this.notify();
+    },
+
+    /**
+     * Step back to the previous state
+     */
+    undo() {
+        if (!this.canUndo()) return false;
+
+        this.redoStack.push(this.current);
+        this.current = this.undoStack.pop();
+        this.restore(this.current);
+        return true;
+    },
+
+    /**
+     * Re-apply the last undone state
+     */
+    redo() {
+        if (!this.canRedo()) return false;
+
+        this.undoStack.push(this.current);
+        this.current = this.redoStack.pop();
+        this.restore(this.current);
+        return true;
+    },
+
+    /**
+     * Apply a state to the canvas without recording it
+     */
+    restore(state) {
+        this.restoring = true;
+        try {
+            this.canvas.applyState(state);
+        } finally {
+            this.restoring = false;
+        }
+
+        // Never coalesce an edit into a restored state
+        this.lastKey = null;
+        this.notify();
+    },
+
+    /**
+     * Stop recording while a multi-step change (e.g. opening a project) is applied
+     * Calls nest; every pause() needs a matching resume()
+     */
+    pause() {
+        this.paused++;
+    },
+
+    resume() {
+        this.paused = Math.max(0, this.paused - 1);
+    },
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    },
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    },
+
+    /**
+     * Drop all history and start from the current canvas state
+     */
+    clear() {
+        const discarded = [...this.undoStack, ...this.redoStack];
+        if (this.current) discarded.push(this.current);
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = this.canvas ? this.canvas.captureState() : null;
+        this.lastKey = null;
+        this.trimMedia(discarded);
+        this.notify();
+    },
+
+    /**
+     * Drop the oldest undo steps while the media they keep alive exceeds maxMediaBytes,
+     * then release media that only discarded steps still referenced
+     * @param {Array} discarded - States that just left the history
+     */
+    trimMedia(discarded = []) {
+        if (!this.canvas) return;
+
+        const collect = (states) => {
+            const media = new Set();
+            states.forEach(state => {
+                this.canvas.getStateMedia(state).forEach(item => media.add(item));
+            });
+            return media;
+        };
+        const retained = () => [...this.undoStack, this.current, ...this.redoStack].filter(Boolean);
+        const size = (media) => [...media].reduce((total, item) => total + this.canvas.getMediaBytes(item), 0);
+
+        let kept = collect(retained());
+        while (this.undoStack.length > 0 && size(kept) > this.maxMediaBytes) {
+            discarded.push(this.undoStack.shift());
+            kept = collect(retained());
+        }
+
+        collect(discarded).forEach(item => {
+            if (!kept.has(item)) this.canvas.releaseMedia(item);
+        });
+    },
+
+    /**
+     * Register a listener called whenever the history changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    },
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryManager;
+}
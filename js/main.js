@@ -7,17 +7,21 @@
 window.BorderManager = BorderManager;
 window.CanvasManager = CanvasManager;
 window.UIManager = UIManager;
+window.HistoryManager = HistoryManager;
+window.ProjectManager = ProjectManager;
+window.AutosaveManager = AutosaveManager;
+window.ToploaderEditor = ToploaderEditor;
 
 /**
  * Application initialization
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     console.log('%cProofshot v1.0', 'color: #c7b6f9; font-size: 24px; font-weight: bold;');
 
     try {
         // Initialize canvas manager
         console.log('Initializing canvas...');
-        CanvasManager.init();
+        CanvasManager.init({ deferPlaceholder: true });
 
         // Initialize border manager
         console.log('Initializing borders...');
@@ -27,6 +31,22 @@ document.addEventListener('DOMContentLoaded', () => {
         console.log('Initializing UI...');
         UIManager.init(CanvasManager);
 
+        // Initialize project files
+        ProjectManager.init(CanvasManager);
+
+        // Initialize the toploader settings editor
+        ToploaderEditor.init(CanvasManager);
+
+        // Initialize undo/redo history
+        console.log('Initializing history...');
+        HistoryManager.onChange(history => UIManager.updateHistoryButtons(history));
+        HistoryManager.init(CanvasManager);
+
+        // Offer to restore the autosaved composition before the placeholder is shown
+        AutosaveManager.init(CanvasManager);
+        await restoreAutosave();
+        AutosaveManager.start();
+
         console.log('%cProofshot initialized successfully!', 'color: #6dd5a0; font-weight: bold;');
 
         // Show welcome message
@@ -58,6 +78,38 @@ function showWelcomeMessage() {
     }
 }
 
+/**
+ * Restore the last autosaved composition if the user wants it,
+ * otherwise start with the placeholder photocard
+ */
+async function restoreAutosave() {
+    const project = await AutosaveManager.load();
+
+    if (project) {
+        if (await UIManager.confirmAutosaveRestore(project.savedAt)) {
+            try {
+                UIManager.showLoading('Restoring your last proofshot...');
+                await AutosaveManager.restore(project);
+                UIManager.syncAfterHistoryChange();
+
+                // The restored composition is the starting point, not an undoable step
+                HistoryManager.clear();
+                UIManager.showNotification('Proofshot restored', 'success');
+                return;
+            } catch (error) {
+                console.error('Error restoring autosave:', error);
+                UIManager.showNotification('Could not restore your last proofshot', 'error');
+            } finally {
+                UIManager.hideLoading();
+            }
+        } else {
+            await AutosaveManager.clear();
+        }
+    }
+
+    CanvasManager.loadPlaceholderPhotocard();
+}
+
 /**
  * Add version info to footer
  */
@@ -79,6 +131,9 @@ function checkUrlParameters() {
         // For now, this is just a placeholder
     }
 
+    // Check for shared toploader settings
+    ToploaderEditor.loadFromUrl(params);
+
     // Check for preset background
     const preset = params.get('preset');
     if (preset) {
@@ -179,7 +234,13 @@ window.getAppState = function() {
         canvas: {
             hasBackground: !!CanvasManager.backgroundImage,
             hasPhotocard: !!CanvasManager.photocardImage,
-            photocard: CanvasManager.photocard
+            photocard: CanvasManager.photocard,
+            photocardLayers: CanvasManager.photocardLayers.map(layer => ({
+                id: layer.id,
+                isPlaceholder: layer.isPlaceholder,
+                transform: layer.transform
+            })),
+            activeLayerIndex: CanvasManager.activeLayerIndex
         },
         border: BorderManager.currentBorder?.id || 'none',
         version: '1.0'
@@ -217,6 +278,10 @@ Keyboard Shortcuts:
 -------------------
 Ctrl/Cmd + S : Save proofshot
 Ctrl/Cmd + R : Reset canvas
+Ctrl/Cmd + O : Open project
+Ctrl/Cmd + Shift + S : Save project
+Ctrl/Cmd + Z : Undo
+Ctrl/Cmd + Y : Redo (or Ctrl/Cmd + Shift + Z)
 H            : Flip horizontal
 V            : Flip vertical
 [            : Rotate left
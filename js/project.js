@@ -0,0 +1,323 @@
+/**
+ * project.js
+ * Save and reopen compositions as .proofshot project files
+ *
+ * A project is a JSON document with the source media embedded as data URLs,
+ * so a proof can be tweaked again later instead of starting from the flattened export.
+ */
+
+const ProjectManager = {
+    fileExtension: 'proofshot',
+    mimeType: 'application/x-proofshot+json',
+
+    // Bump when the document layout changes in a way older builds can't read
+    formatVersion: 1,
+
+    // Pristine copy of the toploader settings, used to store only the values that were changed
+    toploaderDefaults: JSON.parse(JSON.stringify(ToploaderConfig)),
+
+    /**
+     * Initialize the project manager
+     */
+    init(canvasInstance) {
+        this.canvas = canvasInstance;
+    },
+
+    /**
+     * Check whether a file looks like a project file
+     */
+    isProjectFile(file) {
+        return !!file && file.name.toLowerCase().endsWith('.' + this.fileExtension);
+    },
+
+    /**
+     * Serialize the current composition into a .proofshot blob
+     */
+    async exportProject() {
+        const project = await this.serialize();
+        return new Blob([JSON.stringify(project)], { type: this.mimeType });
+    },
+
+    /**
+     * Build the project document for the current composition
+     * @param {Function} encodeMedia - Turns a media source into its stored form (data URL by default)
+     */
+    async serialize(encodeMedia = media => this.serializeMedia(media)) {
+        const canvas = this.canvas;
+        const rect = canvas.canvas.getBoundingClientRect();
+
+        // The placeholder is recreated on open, so only real cards are stored
+        const layers = [];
+        for (const layer of canvas.photocardLayers) {
+            if (!layer.image || layer.isPlaceholder) continue;
+            layers.push({
+                transform: { ...layer.transform },
+                trim: { ...layer.video.trim },
+                media: await encodeMedia(layer)
+            });
+        }
+
+        const activeLayer = canvas.getActiveLayer();
+
+        return {
+            format: 'proofshot',
+            version: this.formatVersion,
+            savedAt: new Date().toISOString(),
+            canvas: {
+                width: rect.width,
+                height: rect.height
+            },
+            background: {
+                transform: { ...canvas.background },
+                trim: { ...canvas.backgroundVideo.trim },
+                media: canvas.backgroundImage ? await encodeMedia({
+                    image: canvas.backgroundImage,
+                    gif: canvas.backgroundGif,
+                    video: canvas.backgroundVideo
+                }) : null
+            },
+            layers,
+            activeLayerIndex: Math.max(0, canvas.photocardLayers
+                .filter(layer => layer.image && !layer.isPlaceholder)
+                .indexOf(activeLayer)),
+            crop: {
+                aspectRatio: canvas.crop.enabled ? canvas.crop.aspectRatio : null
+            },
+            light: { ...canvas.light },
+            borderId: window.BorderManager && window.BorderManager.currentBorder
+                ? window.BorderManager.currentBorder.id
+                : 'none',
+            toploaderConfig: this.getToploaderOverrides()
+        };
+    },
+
+    /**
+     * Embed the original media of a background or layer as a data URL
+     */
+    async serializeMedia(media) {
+        const file = await this.getMediaSource(media);
+
+        return {
+            name: file.name || 'media',
+            type: file.type,
+            data: await this.blobToDataURL(file)
+        };
+    },
+
+    /**
+     * Get the original file behind a background or layer
+     * GIFs and videos keep their source file so they stay animated when reopened
+     */
+    async getMediaSource({ image, gif, video }) {
+        let file = null;
+
+        if (video.isVideo && video.originalFile) {
+            file = video.originalFile;
+        } else if (gif.isGif && gif.originalFile) {
+            file = gif.originalFile;
+        } else if (image.src) {
+            // Still images are loaded from data URLs
+            const response = await fetch(image.src);
+            file = await response.blob();
+        }
+
+        if (!file) {
+            throw new Error('Media source is no longer available');
+        }
+
+        return file;
+    },
+
+    /**
+     * Open a .proofshot file and restore it into the canvas
+     */
+    async openProject(file) {
+        await this.loadProject(this.parse(await file.text()));
+    },
+
+    /**
+     * Restore a project document into the canvas as a single undo step
+     */
+    async loadProject(project) {
+        const history = window.HistoryManager;
+
+        if (history) history.pause();
+        try {
+            await this.restore(project);
+        } finally {
+            if (history) history.resume();
+        }
+
+        this.canvas.commitChange('project');
+    },
+
+    /**
+     * Parse and validate a project document
+     */
+    parse(text) {
+        let project;
+        try {
+            project = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Not a valid Proofshot project file');
+        }
+
+        if (!project || project.format !== 'proofshot' || !Array.isArray(project.layers)) {
+            throw new Error('Not a valid Proofshot project file');
+        }
+
+        if (project.version > this.formatVersion) {
+            throw new Error('This project was saved by a newer version of Proofshot');
+        }
+
+        return project;
+    },
+
+    /**
+     * Rebuild the composition described by a project document
+     */
+    async restore(project) {
+        const canvas = this.canvas;
+        const rect = canvas.canvas.getBoundingClientRect();
+
+        // Positions are stored in CSS pixels, so map them onto the current canvas size
+        const saved = project.canvas || rect;
+        const scaleX = saved.width ? rect.width / saved.width : 1;
+        const scaleY = saved.height ? rect.height / saved.height : 1;
+        const scaleCard = Math.min(rect.width, rect.height) / Math.min(saved.width || rect.width, saved.height || rect.height);
+
+        if (canvas.camera.active) {
+            canvas.stopCamera();
+        }
+        canvas.clearComposition();
+
+        // Background
+        if (project.background && project.background.media) {
+            await canvas.loadBackground(await this.deserializeMedia(project.background.media));
+        }
+        if (project.background && project.background.transform) {
+            const transform = project.background.transform;
+            canvas.background = {
+                ...transform,
+                x: transform.x * scaleX,
+                y: transform.y * scaleY
+            };
+        }
+        if (project.background && project.background.trim) {
+            canvas.backgroundVideo.trim = { ...project.background.trim };
+        }
+
+        // Photocard layers, bottom of the stack first
+        for (const entry of project.layers) {
+            await canvas.loadPhotocard(await this.deserializeMedia(entry.media), { newLayer: true });
+            const layer = canvas.getActiveLayer();
+            layer.transform = {
+                ...layer.transform,
+                ...entry.transform,
+                x: entry.transform.x * scaleX,
+                y: entry.transform.y * scaleY,
+                scale: entry.transform.scale * scaleCard
+            };
+            if (entry.trim) {
+                layer.video.trim = { ...entry.trim };
+            }
+        }
+
+        if (canvas.photocardLayers.length > 0) {
+            canvas.activeLayerIndex = Math.min(project.activeLayerIndex || 0, canvas.photocardLayers.length - 1);
+        } else {
+            canvas.loadPlaceholderPhotocard();
+        }
+
+        // Light, toploader overrides, border and crop
+        if (project.light) {
+            canvas.light = { ...canvas.light, ...project.light };
+        }
+        this.applyToploaderOverrides(project.toploaderConfig || {});
+        canvas.invalidateToploaderCache();
+
+        if (window.BorderManager) {
+            const borderId = project.borderId || 'none';
+            const exists = window.BorderManager.borders.some(border => border.id === borderId);
+            window.BorderManager.selectBorder(exists ? borderId : 'none');
+        }
+
+        canvas.calculateCropBounds(project.crop ? project.crop.aspectRatio : null);
+
+        canvas.notifyLayersChanged();
+        canvas.render();
+    },
+
+    /**
+     * Turn stored media back into a File the canvas loaders accept
+     * Media is either embedded as a data URL or kept as a Blob (autosave)
+     */
+    async deserializeMedia(media) {
+        if (media.blob) {
+            return new File([media.blob], media.name || 'media', { type: media.type || media.blob.type });
+        }
+
+        const response = await fetch(media.data);
+        const blob = await response.blob();
+        return new File([blob], media.name || 'media', { type: media.type || blob.type });
+    },
+
+    /**
+     * Collect the ToploaderConfig values that differ from the defaults
+     */
+    getToploaderOverrides(config = ToploaderConfig, defaults = this.toploaderDefaults) {
+        const overrides = {};
+
+        Object.keys(config).forEach(key => {
+            const value = config[key];
+            const defaultValue = defaults ? defaults[key] : undefined;
+
+            if (value && typeof value === 'object') {
+                const nested = this.getToploaderOverrides(value, defaultValue || {});
+                if (Object.keys(nested).length > 0) {
+                    overrides[key] = nested;
+                }
+            } else if (value !== defaultValue) {
+                overrides[key] = value;
+            }
+        });
+
+        return overrides;
+    },
+
+    /**
+     * Reset ToploaderConfig to its defaults, then apply the given overrides
+     */
+    applyToploaderOverrides(overrides) {
+        const merge = (target, source, defaults) => {
+            Object.keys(defaults).forEach(key => {
+                if (defaults[key] && typeof defaults[key] === 'object') {
+                    merge(target[key], (source && source[key]) || {}, defaults[key]);
+                } else {
+                    target[key] = source && typeof source[key] === typeof defaults[key]
+                        ? source[key]
+                        : defaults[key];
+                }
+            });
+        };
+
+        merge(ToploaderConfig, overrides, this.toploaderDefaults);
+    },
+
+    /**
+     * Read a blob as a data URL
+     */
+    blobToDataURL(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = reject;
+            reader.readAsDataURL(blob);
+        });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectManager;
+}
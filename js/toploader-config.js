@@ -3,37 +3,49 @@
  * Configuration values for toploader overlay rendering
  *
  * Adjust these values to fine-tune the toploader appearance
+ *
+ * Lengths are in millimetres on a card of cardSize, and are scaled to whatever
+ * resolution the photocard image has when drawn (see CanvasManager.drawToploader)
  */
 
 const ToploaderConfig = {
-    // Overlap dimensions (in pixels)
+    // Where the card goes in: 'top', 'side' (open on the right) or 'none' (closed case)
+    opening: 'top',
+
+    // Physical size of the card the toploader holds (standard photocard, mm)
+    cardSize: {
+        width: 55,
+        height: 85
+    },
+
+    // Overlap dimensions (in mm)
     dimensions: {
         // How much the toploader overlaps the photocard on left/right/top sides
-        sideOverlap: 61.8,
+        sideOverlap: 5.75,
 
         // Extra overlap at the bottom (toploader extends further at bottom)
-        bottomOverlap: 139.23
+        bottomOverlap: 12.95
     },
 
     // Corner radii
     corners: {
         // Radius for top corners (more rounded)
-        topRadius: 70,
+        topRadius: 6.51,
 
         // Radius for bottom corners (less rounded)
-        bottomRadius: 42
+        bottomRadius: 3.91
     },
 
     // Border/frame thickness
     frame: {
         // Left edge thickness
-        leftThickness: 12.096,
+        leftThickness: 1.13,
 
         // Right edge thickness
-        rightThickness: 7.488,
+        rightThickness: 0.7,
 
         // Right edge inset adjustment
-        rightInset: 2
+        rightInset: 0.19
     },
 
     // White border reflections
@@ -91,15 +103,15 @@ const ToploaderConfig = {
             green: 190,
             blue: 210,
             opacity: 0.15,
-            lineWidth: 1
+            lineWidth: 0.09
         }
     },
 
     // Highlight gradients
     highlights: {
-        // Top glossy highlight (reflection from light source)
+        // Glossy highlight (reflection from light source), along the side facing the light
         top: {
-            // Height as percentage of inner height
+            // Depth as percentage of the inner area, measured towards the light
             heightPercent: 0.36,
 
             // Opacity stops
@@ -150,8 +162,8 @@ const ToploaderConfig = {
 
     // Top clipping (removes artifacts)
     clipping: {
-        // Pixels to clip from top
-        topClip: 5
+        // Amount to clip from the top
+        topClip: 0.47
     },
 
     // Curve start percentages (for partial curves at top)
@@ -160,6 +172,41 @@ const ToploaderConfig = {
         topCurveStartPercent: 0.6
     },
 
+    // Lip at the opening, where the back panel rises above the front (card savers)
+    lip: {
+        // Height above the toploader top (0 for no lip)
+        height: 0,
+
+        // Fill of the back panel and the line along the front panel's edge
+        opacity: 0.07,
+        edgeOpacity: 0.45,
+        lineWidth: 0.28
+    },
+
+    // Seam where the two halves of a closed case meet (magnetic holders)
+    seam: {
+        // Line opacity (0 for no seam)
+        opacity: 0,
+
+        // Distance in from the outer edge
+        inset: 1.4,
+        lineWidth: 0.19,
+
+        // Grey-blue acrylic edge
+        red: 120,
+        green: 130,
+        blue: 150
+    },
+
+    // Response to the scene light (see CanvasManager.light)
+    lighting: {
+        // How much darker the shadows on the side away from the light get (0 for no change)
+        shadowContrast: 0.5,
+
+        // Light directions are rounded to this many degrees
+        angleStep: 15
+    },
+
     // White glaze film covering the photocard
     glazeFilm: {
         // White color with mild opacity (3%)
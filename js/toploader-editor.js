@@ -0,0 +1,402 @@
+/**
+ * toploader-editor.js
+ * In-app editor for ToploaderConfig, with JSON save, load and share links
+ *
+ * The fields are generated from the ToploaderConfig structure, so new config
+ * values show up without touching this file. Saved files and share links only
+ * carry the values that differ from the defaults (see ProjectManager.getToploaderOverrides).
+ */
+
+const ToploaderEditor = {
+    // Share links carry the changed values in this URL parameter
+    urlParameter: 'toploader',
+
+    fileFormat: 'proofshot-toploader',
+    formatVersion: 1,
+
+    // Choices for ToploaderConfig.opening
+    openings: [
+        { value: 'top', label: 'Top' },
+        { value: 'side', label: 'Side' },
+        { value: 'none', label: 'Closed' }
+    ],
+
+    // Generated inputs: { path, input, valueEl }
+    fields: [],
+
+    /**
+     * Initialize the editor
+     */
+    init(canvasInstance) {
+        this.canvas = canvasInstance;
+        this.container = document.getElementById('toploader-editor-fields');
+        if (!this.container) return;
+
+        this.renderFields();
+        this.attachEventListeners();
+    },
+
+    attachEventListeners() {
+        const fileInput = document.getElementById('toploader-config-file-input');
+
+        document.getElementById('toploader-config-save-btn').addEventListener('click', () => {
+            this.saveToFile();
+        });
+
+        document.getElementById('toploader-config-load-btn').addEventListener('click', () => {
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.loadFromFile(file);
+            }
+        });
+
+        document.getElementById('toploader-config-share-btn').addEventListener('click', () => {
+            this.share();
+        });
+
+        document.getElementById('toploader-config-reset-btn').addEventListener('click', () => {
+            this.applyOverrides({});
+            UIManager.showNotification('Toploader settings reset', 'info');
+        });
+    },
+
+    /**
+     * Build a field for every value in ToploaderConfig
+     */
+    renderFields() {
+        this.container.innerHTML = '';
+        this.fields = [];
+        this.renderSection(ToploaderConfig, []);
+        this.updateFieldStates();
+    },
+
+    /**
+     * Add the fields of one config object, then recurse into its nested objects
+     * Objects with red/green/blue get a single colour picker for those three
+     */
+    renderSection(config, path) {
+        const keys = Object.keys(config);
+        const isColor = ['red', 'green', 'blue'].every(key => typeof config[key] === 'number');
+        const leaves = keys.filter(key => typeof config[key] !== 'object' && !(isColor && ['red', 'green', 'blue'].includes(key)));
+
+        if (path.length > 0 && (leaves.length > 0 || isColor)) {
+            const heading = document.createElement('h4');
+            heading.className = 'toploader-editor-heading';
+            heading.textContent = path.map(key => this.formatLabel(key)).join(' › ');
+            this.container.appendChild(heading);
+        }
+
+        if (isColor) {
+            this.addColorField(path);
+        }
+
+        leaves.forEach(key => {
+            if (typeof config[key] === 'number') {
+                this.addSliderField([...path, key]);
+            } else if (key === 'opening') {
+                this.addOpeningField([...path, key]);
+            }
+        });
+
+        keys.filter(key => config[key] && typeof config[key] === 'object')
+            .forEach(key => this.renderSection(config[key], [...path, key]));
+    },
+
+    addSliderField(path) {
+        const key = path[path.length - 1];
+        const range = this.getRange(key, this.getValue(path));
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = range.min;
+        input.max = range.max;
+        input.step = range.step;
+
+        const valueEl = document.createElement('span');
+        valueEl.className = 'control-value';
+
+        input.addEventListener('input', () => {
+            this.setValue(path, parseFloat(input.value));
+            valueEl.textContent = input.value;
+        });
+        input.addEventListener('change', () => this.commit({ coalesce: true }));
+
+        this.addField(path, this.formatLabel(key), input, valueEl);
+    },
+
+    addColorField(path) {
+        const input = document.createElement('input');
+        input.type = 'color';
+
+        input.addEventListener('input', () => {
+            const hex = input.value;
+            ['red', 'green', 'blue'].forEach((channel, i) => {
+                this.setValue([...path, channel], parseInt(hex.substr(1 + i * 2, 2), 16));
+            });
+        });
+        input.addEventListener('change', () => this.commit({ coalesce: true }));
+
+        this.addField(path, 'Colour', input, null);
+    },
+
+    addOpeningField(path) {
+        const input = document.createElement('select');
+        input.className = 'control-select';
+        this.openings.forEach(opening => {
+            const option = document.createElement('option');
+            option.value = opening.value;
+            option.textContent = opening.label;
+            input.appendChild(option);
+        });
+
+        input.addEventListener('change', () => {
+            this.setValue(path, input.value);
+            this.commit();
+        });
+
+        this.addField(path, 'Opening', input, null);
+    },
+
+    /**
+     * Wrap an input in the sidebar's control markup and remember it
+     */
+    addField(path, labelText, input, valueEl) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+
+        const label = document.createElement('label');
+        label.className = 'control-label';
+
+        const text = document.createElement('span');
+        text.textContent = labelText;
+        if (valueEl) {
+            text.appendChild(valueEl);
+        }
+
+        label.appendChild(text);
+        label.appendChild(input);
+        group.appendChild(label);
+        this.container.appendChild(group);
+
+        const field = { path, input, valueEl };
+        this.fields.push(field);
+        this.syncField(field);
+    },
+
+    /**
+     * Slider range for a config value, from what its name says it is
+     */
+    getRange(key, value) {
+        const name = key.toLowerCase();
+
+        if (name.includes('opacity')) {
+            return { min: 0, max: 1, step: 0.005 };
+        }
+        if (name.includes('percent') || name.includes('contrast')) {
+            return { min: 0, max: 1, step: 0.01 };
+        }
+        if (name.includes('angle')) {
+            return { min: 1, max: 90, step: 1 };
+        }
+        if (name.includes('multiplier') || name.includes('factor') || name.includes('reduction')) {
+            return { min: 0, max: Math.max(5, Math.ceil(value * 2)), step: 0.01 };
+        }
+
+        // Lengths in millimetres
+        return { min: 0, max: Math.max(5, Math.ceil(value * 3)), step: 0.01 };
+    },
+
+    /**
+     * 'bottomOverlap' -> 'Bottom overlap'
+     */
+    formatLabel(key) {
+        const words = key.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    },
+
+    getValue(path) {
+        return path.reduce((object, key) => object[key], ToploaderConfig);
+    },
+
+    setValue(path, value) {
+        const parent = path.slice(0, -1).reduce((object, key) => object[key], ToploaderConfig);
+        parent[path[path.length - 1]] = value;
+        this.redraw();
+    },
+
+    /**
+     * Show the field's current value from ToploaderConfig
+     */
+    syncField(field) {
+        const { path, input, valueEl } = field;
+
+        if (input.type === 'color') {
+            const channels = ['red', 'green', 'blue'].map(channel => this.getValue([...path, channel]));
+            input.value = '#' + channels.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('');
+        } else {
+            input.value = this.getValue(path);
+        }
+
+        if (valueEl) {
+            valueEl.textContent = input.value;
+        }
+    },
+
+    syncFields() {
+        this.fields.forEach(field => this.syncField(field));
+    },
+
+    /**
+     * Values set by the active photocard's holder preset can't be edited here
+     */
+    updateFieldStates() {
+        const layer = this.canvas.getActiveLayer();
+        const preset = ToploaderPresets.getPreset(layer ? layer.transform.toploaderPreset : null);
+
+        this.fields.forEach(field => {
+            // Colour fields cover their red/green/blue values
+            const path = field.input.type === 'color' ? [...field.path, 'red'] : field.path;
+            const fixed = path.reduce((object, key) => (object ? object[key] : undefined), preset.config) !== undefined;
+
+            field.input.disabled = fixed;
+            field.input.title = fixed ? `Set by the ${preset.name} holder` : '';
+        });
+    },
+
+    /**
+     * Show ToploaderConfig changes on the canvas
+     */
+    redraw() {
+        this.canvas.invalidateToploaderCache();
+        this.canvas.render();
+    },
+
+    /**
+     * Record a config change as an undo step (which also schedules the autosave)
+     * @param {Object} options - See CanvasManager.commitChange
+     */
+    commit(options = {}) {
+        this.canvas.commitChange('toploader-config', options);
+    },
+
+    /**
+     * Replace all changes with the given overrides (see ProjectManager.getToploaderOverrides)
+     */
+    applyOverrides(overrides) {
+        ProjectManager.applyToploaderOverrides(overrides);
+        this.syncFields();
+        this.redraw();
+        this.commit();
+    },
+
+    /**
+     * Saved config document
+     */
+    serialize() {
+        return {
+            format: this.fileFormat,
+            version: this.formatVersion,
+            config: ProjectManager.getToploaderOverrides()
+        };
+    },
+
+    /**
+     * Read a saved config document, or a bare set of overrides
+     * @returns {Object} The overrides
+     */
+    parse(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Not a toploader config');
+        }
+        if (data.format === undefined) {
+            return data;
+        }
+        if (data.format !== this.fileFormat) {
+            throw new Error('Not a toploader config');
+        }
+        if (data.version > this.formatVersion) {
+            throw new Error('This toploader config was saved by a newer version of Proofshot');
+        }
+        return data.config || {};
+    },
+
+    saveToFile() {
+        const blob = new Blob([JSON.stringify(this.serialize(), null, 2)], { type: 'application/json' });
+        UIManager.downloadBlob(blob, `toploader-${Date.now()}.json`);
+        UIManager.showNotification('Toploader settings saved', 'success');
+    },
+
+    async loadFromFile(file) {
+        try {
+            this.applyOverrides(this.parse(JSON.parse(await file.text())));
+            UIManager.showNotification('Toploader settings loaded', 'success');
+        } catch (error) {
+            console.error('Error loading toploader config:', error);
+            UIManager.showNotification(error instanceof SyntaxError ? 'Invalid toploader config file' : error.message, 'error');
+        }
+    },
+
+    /**
+     * Link to this page that applies the current changes when opened
+     */
+    getShareUrl() {
+        const json = JSON.stringify(ProjectManager.getToploaderOverrides());
+        const bytes = new TextEncoder().encode(json);
+        const encoded = btoa(String.fromCharCode(...bytes))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+
+        const url = new URL(window.location.href);
+        url.searchParams.set(this.urlParameter, encoded);
+        return url.toString();
+    },
+
+    async share() {
+        const url = this.getShareUrl();
+
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: 'Proofshot toploader', url });
+            } else {
+                await navigator.clipboard.writeText(url);
+                UIManager.showNotification('Toploader link copied to clipboard', 'success');
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error sharing toploader config:', error);
+                UIManager.showNotification('Failed to share toploader settings', 'error');
+            }
+        }
+    },
+
+    /**
+     * Apply a config from a share link
+     * @returns {boolean} Whether the URL had one
+     */
+    loadFromUrl(params = new URLSearchParams(window.location.search)) {
+        const encoded = params.get(this.urlParameter);
+        if (!encoded) return false;
+
+        try {
+            const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+            const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+            this.applyOverrides(this.parse(JSON.parse(new TextDecoder().decode(bytes))));
+            UIManager.showNotification('Shared toploader settings applied', 'success');
+        } catch (error) {
+            console.error('Error reading shared toploader config:', error);
+            UIManager.showNotification('The shared toploader settings could not be read', 'error');
+        }
+        return true;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ToploaderEditor;
+}
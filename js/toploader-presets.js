@@ -0,0 +1,174 @@
+/**
+ * toploader-presets.js
+ * Named card holder styles for the toploader overlay
+ *
+ * Each preset lists only the ToploaderConfig values it changes, so the standard
+ * toploader is ToploaderConfig itself and tweaks to it carry over to the others.
+ */
+
+const ToploaderPresets = {
+    // Preset used for new photocards and for unknown ids
+    defaultPresetId: 'standard',
+
+    presets: [
+        {
+            id: 'standard',
+            name: 'Standard toploader',
+            config: {}
+        },
+        {
+            // Thin, flexible sleeve with a taller back panel forming a lip at the opening
+            id: 'card-saver',
+            name: 'Card saver (semi-rigid)',
+            config: {
+                dimensions: { sideOverlap: 4.19, bottomOverlap: 4.19 },
+                corners: { topRadius: 2.23, bottomRadius: 2.23 },
+                frame: { leftThickness: 0.47, rightThickness: 0.47, rightInset: 0.09 },
+                borders: {
+                    west: { widthMultiplier: 3, scaleFactor: 1, startOpacity: 0.6, endOpacity: 0.3 },
+                    east: { widthMultiplier: 3, scaleFactor: 1, startOpacity: 0.6, endOpacity: 0.3 },
+                    south: { edgeOpacity: 0.4, centerOpacity: 0.55 }
+                },
+                overlay: { baseOpacity: 0.05 },
+                shadows: {
+                    north: { startOpacity: 0.08 },
+                    west: { startOpacity: 0.15 },
+                    east: { startOpacity: 0.15 },
+                    south: { endOpacity: 0.15 }
+                },
+                shadingLine: { opacity: 0.4 },
+                clipping: { topClip: 0 },
+                curves: { topCurveStartPercent: 1 },
+                lip: { height: 8.37, opacity: 0.07, edgeOpacity: 0.45, lineWidth: 0.28 }
+            }
+        },
+        {
+            // Soft polypropylene sleeve that hugs the card, barely any edge
+            id: 'penny-sleeve',
+            name: 'Penny sleeve',
+            config: {
+                dimensions: { sideOverlap: 1.12, bottomOverlap: 2.23 },
+                corners: { topRadius: 1.3, bottomRadius: 1.3 },
+                frame: { leftThickness: 0.19, rightThickness: 0.19, rightInset: 0 },
+                borders: {
+                    west: { widthMultiplier: 2, scaleFactor: 1, startOpacity: 0.35, endOpacity: 0.1 },
+                    east: { widthMultiplier: 2, scaleFactor: 1, startOpacity: 0.35, endOpacity: 0.1 },
+                    south: { edgeOpacity: 0.2, centerOpacity: 0.3 }
+                },
+                overlay: {
+                    baseOpacity: 0.06,
+                    innerTint: { opacity: 0.04 },
+                    innerEdge: { opacity: 0.08 }
+                },
+                highlights: {
+                    top: { heightPercent: 0.5, startOpacity: 0.14, middleOpacity: 0.05 }
+                },
+                shadows: {
+                    north: { startOpacity: 0.04 },
+                    west: { startOpacity: 0.05 },
+                    east: { startOpacity: 0.05 },
+                    south: { endOpacity: 0.05 }
+                },
+                shadingLine: { opacity: 0.2 },
+                clipping: { topClip: 0 },
+                curves: { topCurveStartPercent: 1 }
+            }
+        },
+        {
+            // Thick acrylic case closed by magnets, with a seam where the halves meet
+            id: 'magnetic',
+            name: 'Magnetic one-touch',
+            config: {
+                opening: 'none',
+                dimensions: { sideOverlap: 8.84, bottomOverlap: 8.84 },
+                corners: { topRadius: 3.72, bottomRadius: 3.72 },
+                frame: { leftThickness: 2.79, rightThickness: 2.79, rightInset: 0 },
+                borders: {
+                    west: { widthMultiplier: 1.6, scaleFactor: 1, startOpacity: 0.9, endOpacity: 0.5 },
+                    east: { widthMultiplier: 1.6, scaleFactor: 1, startOpacity: 0.9, endOpacity: 0.5 },
+                    south: { edgeOpacity: 0.7, centerOpacity: 0.85 }
+                },
+                overlay: {
+                    baseOpacity: 0.06,
+                    innerTint: { opacity: 0.05 }
+                },
+                highlights: {
+                    top: { startOpacity: 0.14 }
+                },
+                shadows: {
+                    north: { startOpacity: 0.3 },
+                    west: { startOpacity: 0.3 },
+                    east: { startOpacity: 0.3 },
+                    south: { endOpacity: 0.3 }
+                },
+                shadingLine: { opacity: 0.5, widthReduction: 0.3 },
+                clipping: { topClip: 0 },
+                curves: { topCurveStartPercent: 1 },
+                seam: { opacity: 0.35, inset: 1.4, lineWidth: 0.19 }
+            }
+        },
+        {
+            // A standard toploader turned on its side, open on the right
+            id: 'side-loader',
+            name: 'Side-loading toploader',
+            config: {
+                opening: 'side'
+            }
+        }
+    ],
+
+    // Merged configs per preset id, rebuilt after ToploaderConfig changes
+    configCache: new Map(),
+
+    /**
+     * Get a preset by id, falling back to the default
+     */
+    getPreset(id) {
+        return this.presets.find(preset => preset.id === id) ||
+            this.presets.find(preset => preset.id === this.defaultPresetId);
+    },
+
+    /**
+     * Full toploader config for a preset: ToploaderConfig with the preset's values on top
+     */
+    getConfig(id) {
+        const preset = this.getPreset(id);
+        if (!this.configCache.has(preset.id)) {
+            const base = window.ToploaderConfig || ToploaderConfig;
+            this.configCache.set(preset.id, this.merge(base, preset.config));
+        }
+        return this.configCache.get(preset.id);
+    },
+
+    /**
+     * Forget merged configs (call after ToploaderConfig changes)
+     */
+    invalidate() {
+        this.configCache.clear();
+    },
+
+    /**
+     * Deep copy of base with the values of overrides replacing its own
+     */
+    merge(base, overrides) {
+        const result = {};
+
+        Object.keys(base).forEach(key => {
+            const value = base[key];
+            const override = overrides ? overrides[key] : undefined;
+
+            if (value && typeof value === 'object') {
+                result[key] = this.merge(value, override);
+            } else {
+                result[key] = override !== undefined ? override : value;
+            }
+        });
+
+        return result;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ToploaderPresets;
+}
@@ -8,6 +8,21 @@ const UIManager = {
     cameraAspectRatio: '3:4', // Default aspect ratio
     canvasAspectRatio: '3:4', // Canvas aspect ratio after capture
     photocardFileInputTimeout: null, // Debounce for double file picker on Android
+    photocardUploadAsNewLayer: false, // Whether the next photocard upload adds a layer
+    exportSettings: { // Last used export options (persisted)
+        size: 'screen', format: 'png', quality: 0.9, maxSizeMB: '', audioSource: 'photocard', audioVolume: 1,
+        gifColors: 256, gifDither: 'none',
+        animationFormat: 'gif', animationMaxWidth: '', animationFrameStep: 1, animationLoop: 0, animationPingPong: false
+    },
+    exportModalResolve: null, // Pending export modal promise
+    exportIsStill: true, // Whether the export modal is exporting a still image
+    exportIsAnimation: false, // Whether the export modal is exporting an animation (GIF, APNG or WebP)
+    timelineScrubbing: false, // Whether the playback slider is being dragged
+    timelineWasPlaying: false,
+    timelinePlayingShown: null, // Play state the play/pause icon currently shows
+    exportPreview: null, // Still rendered for the size estimate while the export modal is open
+    exportEstimateTimeout: null, // Debounce for the size estimate
+    exportEstimateId: 0, // Latest size estimate, so older ones that finish late are ignored
 
     /**
      * Detect if the device is Android
@@ -18,8 +33,11 @@ const UIManager = {
 
     /**
      * Safely trigger photocard file input with debouncing to prevent double prompts on Android
+     * @param {boolean} newLayer - Add the uploaded card as a new layer instead of replacing the selected one
      */
-    triggerPhotocardFileInput() {
+    triggerPhotocardFileInput(newLayer = false) {
+        this.photocardUploadAsNewLayer = newLayer;
+
         // Clear any existing timeout
         if (this.photocardFileInputTimeout) {
             clearTimeout(this.photocardFileInputTimeout);
@@ -42,6 +60,7 @@ const UIManager = {
     init(canvasInstance) {
         this.canvas = canvasInstance;
         this.editModeHintShown = false;
+        this.loadExportSettings();
         this.cacheElements();
         this.attachEventListeners();
         this.initializeLucideIcons();
@@ -51,9 +70,9 @@ const UIManager = {
             this.elements.mobileHome.classList.add('active');
         }
 
-        // Sync photocard sliders with the initial placeholder
+        // Sync photocard sliders and layer list with the initial placeholder
         setTimeout(() => {
-            this.syncPhotocardSliders();
+            this.handleLayersChanged();
         }, 100);
 
         // Initially hide the hint
@@ -82,6 +101,7 @@ const UIManager = {
             // File inputs
             bgFileInput: document.getElementById('bg-file-input'),
             photocardFileInput: document.getElementById('photocard-file-input'),
+            projectFileInput: document.getElementById('project-file-input'),
 
             // Upload buttons
             uploadBgBtn: document.getElementById('upload-bg-btn'),
@@ -112,6 +132,11 @@ const UIManager = {
             bgYValue: document.getElementById('bg-y-value'),
             bgScaleValue: document.getElementById('bg-scale-value'),
             bgRotationValue: document.getElementById('bg-rotation-value'),
+            bgTrimGroup: document.getElementById('bg-trim-group'),
+            bgTrimStartSlider: document.getElementById('bg-trim-start-slider'),
+            bgTrimStartValue: document.getElementById('bg-trim-start-value'),
+            bgTrimEndSlider: document.getElementById('bg-trim-end-slider'),
+            bgTrimEndValue: document.getElementById('bg-trim-end-value'),
             bgFlipHBtn: document.getElementById('bg-flip-h-btn'),
             bgFlipVBtn: document.getElementById('bg-flip-v-btn'),
             bgResetBtn: document.getElementById('bg-reset-btn'),
@@ -125,16 +150,38 @@ const UIManager = {
             photocardYValue: document.getElementById('photocard-y-value'),
             photocardScaleValue: document.getElementById('photocard-scale-value'),
             photocardRotationValue: document.getElementById('photocard-rotation-value'),
+            photocardTrimGroup: document.getElementById('photocard-trim-group'),
+            photocardTrimStartSlider: document.getElementById('photocard-trim-start-slider'),
+            photocardTrimStartValue: document.getElementById('photocard-trim-start-value'),
+            photocardTrimEndSlider: document.getElementById('photocard-trim-end-slider'),
+            photocardTrimEndValue: document.getElementById('photocard-trim-end-value'),
             photocardResetBtn: document.getElementById('photocard-reset-btn'),
             photocardResetTransformBtn: document.getElementById('photocard-reset-transform-btn'),
 
-            // Toploader toggle
+            // Photocard layers
+            layerList: document.getElementById('photocard-layer-list'),
+            layerAddBtn: document.getElementById('layer-add-btn'),
+            layerUpBtn: document.getElementById('layer-up-btn'),
+            layerDownBtn: document.getElementById('layer-down-btn'),
+            layerRemoveBtn: document.getElementById('layer-remove-btn'),
+
+            // Toploader toggle and holder style
             toploaderToggle: document.getElementById('toploader-toggle'),
+            toploaderPresetSelect: document.getElementById('toploader-preset-select'),
+
+            // Scene light
+            lightAngleSlider: document.getElementById('light-angle-slider'),
+            lightAngleValue: document.getElementById('light-angle-value'),
+            lightAutoToggle: document.getElementById('light-auto-toggle'),
 
             // Action buttons
+            undoBtn: document.getElementById('undo-btn'),
+            redoBtn: document.getElementById('redo-btn'),
             resetBtn: document.getElementById('reset-btn'),
             saveBtn: document.getElementById('save-btn'),
             saveVideoBtn: document.getElementById('save-video-btn'),
+            saveProjectBtn: document.getElementById('save-project-btn'),
+            openProjectBtn: document.getElementById('open-project-btn'),
 
             // Canvas overlay
             canvasOverlay: document.getElementById('canvas-overlay'),
@@ -154,6 +201,47 @@ const UIManager = {
             // Save Confirmation Modal
             saveConfirmationModal: document.getElementById('save-confirmation-modal'),
             saveConfirmationModalClose: document.getElementById('save-confirmation-modal-close'),
+
+            // Playback timeline
+            timelineControls: document.getElementById('timeline-controls'),
+            timelinePlayBtn: document.getElementById('timeline-play-btn'),
+            timelineScrubSlider: document.getElementById('timeline-scrub-slider'),
+            timelineTime: document.getElementById('timeline-time'),
+
+            // Export Settings Modal
+            exportModal: document.getElementById('export-modal'),
+            exportModalClose: document.getElementById('export-modal-close'),
+            exportSizeSelect: document.getElementById('export-size-select'),
+            exportSizeInfo: document.getElementById('export-size-info'),
+            exportFormatGroup: document.getElementById('export-format-group'),
+            exportFormatSelect: document.getElementById('export-format-select'),
+            exportQualityGroup: document.getElementById('export-quality-group'),
+            exportQualitySlider: document.getElementById('export-quality-slider'),
+            exportQualityValue: document.getElementById('export-quality-value'),
+            exportAudioGroup: document.getElementById('export-audio-group'),
+            exportAudioSelect: document.getElementById('export-audio-select'),
+            exportAudioVolumeLabel: document.getElementById('export-audio-volume-label'),
+            exportAudioVolumeSlider: document.getElementById('export-audio-volume-slider'),
+            exportAudioVolumeValue: document.getElementById('export-audio-volume-value'),
+            exportAnimationGroup: document.getElementById('export-animation-group'),
+            exportAnimationFormatSelect: document.getElementById('export-animation-format-select'),
+            exportAnimationWidthSelect: document.getElementById('export-animation-width-select'),
+            exportAnimationFrameStepSelect: document.getElementById('export-animation-frame-step-select'),
+            exportAnimationLoopSelect: document.getElementById('export-animation-loop-select'),
+            exportAnimationPingPongToggle: document.getElementById('export-animation-ping-pong-toggle'),
+            exportGifGroup: document.getElementById('export-gif-group'),
+            exportGifColorsSelect: document.getElementById('export-gif-colors-select'),
+            exportGifDitherSelect: document.getElementById('export-gif-dither-select'),
+            exportMaxSizeSelect: document.getElementById('export-max-size-select'),
+            exportEstimate: document.getElementById('export-estimate'),
+            exportConfirmBtn: document.getElementById('export-confirm-btn'),
+
+            // Restore Autosave Modal
+            restoreModal: document.getElementById('restore-modal'),
+            restoreModalClose: document.getElementById('restore-modal-close'),
+            restoreModalText: document.getElementById('restore-modal-text'),
+            restoreAutosaveBtn: document.getElementById('restore-autosave-btn'),
+            discardAutosaveBtn: document.getElementById('discard-autosave-btn'),
             keepEditingBtn: document.getElementById('keep-editing-btn'),
             discardImageBtn: document.getElementById('discard-image-btn')
         };
@@ -297,6 +385,17 @@ const UIManager = {
             this.elements.bgRotationValue.textContent = Math.round(value) + '°';
         });
 
+        // Background video trim
+        this.elements.bgTrimStartSlider.addEventListener('input', (e) => {
+            this.canvas.updateBackgroundTrim('start', parseFloat(e.target.value));
+            this.syncTrimControls();
+        });
+
+        this.elements.bgTrimEndSlider.addEventListener('input', (e) => {
+            this.canvas.updateBackgroundTrim('end', parseFloat(e.target.value));
+            this.syncTrimControls();
+        });
+
         // Background buttons
         this.elements.bgFlipHBtn.addEventListener('click', () => {
             this.canvas.flipBackgroundHorizontal();
@@ -337,6 +436,17 @@ const UIManager = {
             this.elements.photocardRotationValue.textContent = Math.round(value) + '°';
         });
 
+        // Photocard video trim
+        this.elements.photocardTrimStartSlider.addEventListener('input', (e) => {
+            this.canvas.updatePhotocardTrim('start', parseFloat(e.target.value));
+            this.syncTrimControls();
+        });
+
+        this.elements.photocardTrimEndSlider.addEventListener('input', (e) => {
+            this.canvas.updatePhotocardTrim('end', parseFloat(e.target.value));
+            this.syncTrimControls();
+        });
+
         // Photocard buttons
         this.elements.photocardResetBtn.addEventListener('click', () => {
             this.canvas.resetPhotocard();
@@ -349,12 +459,97 @@ const UIManager = {
             this.showNotification('Photocard position and size reset', 'success');
         });
 
+        // Photocard layers
+        if (this.elements.layerList) {
+            this.elements.layerList.addEventListener('click', (e) => {
+                const option = e.target.closest('.layer-option');
+                if (!option) return;
+                this.canvas.selectPhotocardLayer(parseInt(option.dataset.layerIndex, 10));
+            });
+        }
+
+        if (this.elements.layerAddBtn) {
+            this.elements.layerAddBtn.addEventListener('click', () => {
+                this.triggerPhotocardFileInput(true);
+            });
+        }
+
+        if (this.elements.layerUpBtn) {
+            this.elements.layerUpBtn.addEventListener('click', () => {
+                this.canvas.movePhotocardLayer(1);
+            });
+        }
+
+        if (this.elements.layerDownBtn) {
+            this.elements.layerDownBtn.addEventListener('click', () => {
+                this.canvas.movePhotocardLayer(-1);
+            });
+        }
+
+        if (this.elements.layerRemoveBtn) {
+            this.elements.layerRemoveBtn.addEventListener('click', () => {
+                this.canvas.removePhotocardLayer();
+            });
+        }
+
         // Toploader toggle
         this.elements.toploaderToggle.addEventListener('change', (e) => {
             this.toggleToploader(e.target.checked);
         });
 
+        this.renderToploaderPresetOptions();
+        this.elements.toploaderPresetSelect.addEventListener('change', (e) => {
+            this.canvas.setToploaderPreset(e.target.value);
+            if (window.ToploaderEditor) {
+                window.ToploaderEditor.updateFieldStates();
+            }
+        });
+
+        // Scene light
+        this.elements.lightAngleSlider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.canvas.setLightAngle(value);
+            this.elements.lightAngleValue.textContent = Math.round(value) + '°';
+        });
+
+        this.elements.lightAutoToggle.addEventListener('change', (e) => {
+            this.canvas.setAutoLight(e.target.checked);
+            this.syncLightControls();
+        });
+
+        // Playback timeline
+        this.elements.timelinePlayBtn.addEventListener('click', () => {
+            this.canvas.toggleTimeline();
+        });
+
+        // Hold playback while scrubbing, then carry on from the new position
+        this.elements.timelineScrubSlider.addEventListener('pointerdown', () => {
+            this.timelineScrubbing = true;
+            this.timelineWasPlaying = this.canvas.timeline.playing;
+            this.canvas.pauseTimeline();
+        });
+
+        this.elements.timelineScrubSlider.addEventListener('input', (e) => {
+            this.canvas.seekTimeline(parseFloat(e.target.value));
+        });
+
+        this.elements.timelineScrubSlider.addEventListener('change', () => {
+            if (!this.timelineScrubbing) return;
+            this.timelineScrubbing = false;
+            if (this.timelineWasPlaying) {
+                this.canvas.playTimeline();
+            }
+        });
+
         // Action buttons
+        this.elements.undoBtn.addEventListener('click', () => {
+            this.handleUndo();
+        });
+
+        this.elements.redoBtn.addEventListener('click', () => {
+            this.handleRedo();
+        });
+
         this.elements.resetBtn.addEventListener('click', () => {
             this.handleReset();
         });
@@ -367,6 +562,23 @@ const UIManager = {
             this.handleSaveAsVideo();
         });
 
+        // Project files
+        this.elements.saveProjectBtn.addEventListener('click', () => {
+            this.handleSaveProject();
+        });
+
+        this.elements.openProjectBtn.addEventListener('click', () => {
+            this.elements.projectFileInput.click();
+        });
+
+        this.elements.projectFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Reset file input
+            if (file) {
+                this.handleOpenProject(file);
+            }
+        });
+
         // QR Modal
         this.elements.qrModalClose.addEventListener('click', () => {
             this.closeQRModal();
@@ -383,6 +595,94 @@ const UIManager = {
         });
 
         // Save Confirmation Modal
+        // Export Settings Modal
+        this.elements.exportModalClose.addEventListener('click', () => {
+            this.closeExportModal(null);
+        });
+
+        this.elements.exportModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.exportModal) {
+                this.closeExportModal(null);
+            }
+        });
+
+        this.elements.exportSizeSelect.addEventListener('change', (e) => {
+            this.exportSettings.size = e.target.value;
+            this.exportPreview = null;
+            this.updateExportSizeInfo();
+            this.scheduleExportEstimate();
+        });
+
+        this.elements.exportFormatSelect.addEventListener('change', (e) => {
+            this.exportSettings.format = e.target.value;
+            // Formats with and without alpha render the still differently
+            this.exportPreview = null;
+            this.updateExportFormatControls();
+            this.scheduleExportEstimate();
+        });
+
+        this.elements.exportQualitySlider.addEventListener('input', (e) => {
+            this.exportSettings.quality = parseInt(e.target.value) / 100;
+            this.elements.exportQualityValue.textContent = e.target.value + '%';
+            this.scheduleExportEstimate();
+        });
+
+        this.elements.exportAudioSelect.addEventListener('change', (e) => {
+            this.exportSettings.audioSource = e.target.value;
+            this.updateExportAudioControls();
+        });
+
+        this.elements.exportAudioVolumeSlider.addEventListener('input', (e) => {
+            this.exportSettings.audioVolume = parseInt(e.target.value) / 100;
+            this.elements.exportAudioVolumeValue.textContent = e.target.value + '%';
+        });
+
+        this.elements.exportAnimationFormatSelect.addEventListener('change', (e) => {
+            this.exportSettings.animationFormat = e.target.value;
+            this.updateExportFormatControls();
+            this.updateExportAnimationOptions();
+            this.scheduleExportEstimate();
+        });
+
+        this.elements.exportGifColorsSelect.addEventListener('change', (e) => {
+            this.exportSettings.gifColors = parseInt(e.target.value);
+            this.scheduleExportEstimate();
+        });
+
+        this.elements.exportGifDitherSelect.addEventListener('change', (e) => {
+            this.exportSettings.gifDither = e.target.value;
+            this.scheduleExportEstimate();
+        });
+
+        this.elements.exportAnimationWidthSelect.addEventListener('change', (e) => {
+            this.exportSettings.animationMaxWidth = e.target.value;
+            this.updateExportSizeInfo();
+            this.scheduleExportEstimate();
+        });
+
+        this.elements.exportAnimationFrameStepSelect.addEventListener('change', (e) => {
+            this.exportSettings.animationFrameStep = parseInt(e.target.value);
+            this.scheduleExportEstimate();
+        });
+
+        this.elements.exportAnimationLoopSelect.addEventListener('change', (e) => {
+            this.exportSettings.animationLoop = parseInt(e.target.value);
+        });
+
+        this.elements.exportAnimationPingPongToggle.addEventListener('change', (e) => {
+            this.exportSettings.animationPingPong = e.target.checked;
+            this.scheduleExportEstimate();
+        });
+
+        this.elements.exportMaxSizeSelect.addEventListener('change', (e) => {
+            this.exportSettings.maxSizeMB = e.target.value;
+        });
+
+        this.elements.exportConfirmBtn.addEventListener('click', () => {
+            this.saveExportSettings();
+            this.closeExportModal({ ...this.exportSettings });
+        });
+
         this.elements.saveConfirmationModalClose.addEventListener('click', () => {
             this.closeSaveConfirmationModal();
         });
@@ -462,6 +762,81 @@ const UIManager = {
         }
     },
 
+    /**
+     * Show the loading overlay for an upload and build the loader options
+     * GIFs (and PNG/WebP files, which may be animated) are decoded in the background:
+     * the overlay counts the frames and can cancel the decode
+     * @returns {Object} Options for CanvasManager.loadBackground() / loadPhotocard()
+     */
+    startMediaLoad(file, message) {
+        if (!['image/gif', 'image/png', 'image/apng', 'image/webp'].includes(file.type)) {
+            this.showLoading(message);
+            return {};
+        }
+
+        const controller = new AbortController();
+        const onCancel = () => controller.abort();
+        const label = file.type === 'image/gif' ? 'GIF' : 'animation';
+
+        this.showLoading(file.type === 'image/gif' ? 'Decoding GIF...' : message, { onCancel });
+
+        return {
+            signal: controller.signal,
+            onProgress: (decoded, total) => {
+                this.showLoading(`Decoding ${label}... ${decoded}/${total} frames`, { onCancel });
+            }
+        };
+    },
+
+    /**
+     * Show the loading overlay for an animation or video export, with a progress bar,
+     * the time left and a Cancel button
+     * @returns {Object} { signal, onProgress } export options for CanvasManager
+     */
+    startExportProgress(message) {
+        const controller = new AbortController();
+        const onCancel = () => {
+            controller.abort();
+            this.showLoading('Cancelling...');
+        };
+
+        let startTime = performance.now();
+        let lastDone = 0;
+
+        this.showLoading(message, { onCancel, progress: 0 });
+
+        return {
+            signal: controller.signal,
+            onProgress: (done, total) => {
+                if (controller.signal.aborted) return;
+
+                // Fitting a size limit can export more than once - time each pass on its own
+                if (done < lastDone) {
+                    startTime = performance.now();
+                }
+                lastDone = done;
+
+                const progress = total > 0 ? done / total : 0;
+                const elapsed = performance.now() - startTime;
+                let detail = `${done}/${total} frames`;
+                if (progress > 0.05 && progress < 1 && elapsed > 1000) {
+                    detail += ` - about ${this.formatDuration(elapsed * (1 - progress) / progress)} left`;
+                }
+
+                this.showLoading(message, { onCancel, progress, detail });
+            }
+        };
+    },
+
+    /**
+     * Format a time left for display
+     */
+    formatDuration(ms) {
+        const seconds = Math.max(1, Math.round(ms / 1000));
+        if (seconds < 60) return `${seconds}s`;
+        return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+    },
+
     /**
      * Handle background image upload
      */
@@ -475,7 +850,7 @@ const UIManager = {
         }
 
         try {
-            this.showLoading('Loading background...');
+            const loadOptions = this.startMediaLoad(file, 'Loading background...');
 
             // Track if we were in camera mode
             const wasInCameraMode = this.canvas.camera.active;
@@ -513,7 +888,7 @@ const UIManager = {
                 }
             }
 
-            await this.canvas.loadBackground(file);
+            await this.canvas.loadBackground(file, loadOptions);
             this.hideCanvasOverlay();
             this.syncBackgroundSliders();
 
@@ -538,8 +913,12 @@ const UIManager = {
 
             this.showNotification('Background loaded successfully', 'success');
         } catch (error) {
-            console.error('Error loading background:', error);
-            this.showNotification('Failed to load background', 'error');
+            if (error.name === 'AbortError') {
+                this.showNotification('Loading cancelled', 'info');
+            } else {
+                console.error('Error loading background:', error);
+                this.showNotification('Failed to load background', 'error');
+            }
         } finally {
             this.hideLoading();
             e.target.value = ''; // Reset file input
@@ -558,9 +937,12 @@ const UIManager = {
             return;
         }
 
+        const newLayer = this.photocardUploadAsNewLayer;
+        this.photocardUploadAsNewLayer = false;
+
         try {
-            this.showLoading('Loading photocard...');
-            await this.canvas.loadPhotocard(file);
+            const loadOptions = this.startMediaLoad(file, 'Loading photocard...');
+            await this.canvas.loadPhotocard(file, { ...loadOptions, newLayer });
             this.syncPhotocardSliders();
 
             // Show edit mode hint if user has both background and photocard
@@ -572,8 +954,12 @@ const UIManager = {
 
             this.showNotification('Photocard loaded successfully', 'success');
         } catch (error) {
-            console.error('Error loading photocard:', error);
-            this.showNotification('Failed to load photocard', 'error');
+            if (error.name === 'AbortError') {
+                this.showNotification('Loading cancelled', 'info');
+            } else {
+                console.error('Error loading photocard:', error);
+                this.showNotification('Failed to load photocard', 'error');
+            }
         } finally {
             this.hideLoading();
             e.target.value = ''; // Reset file input
@@ -585,6 +971,14 @@ const UIManager = {
      */
     async handleDrop(e) {
         const files = Array.from(e.dataTransfer.files);
+
+        // A dropped project replaces the whole composition
+        const projectFile = files.find(f => window.ProjectManager && window.ProjectManager.isProjectFile(f));
+        if (projectFile) {
+            await this.handleOpenProject(projectFile);
+            return;
+        }
+
         const mediaFiles = files.filter(f => f.type.startsWith('image/') || f.type.startsWith('video/'));
 
         if (mediaFiles.length === 0) {
@@ -592,7 +986,7 @@ const UIManager = {
             return;
         }
 
-        // First file as background, second as photocard
+        // First file as background, the rest as photocards
         if (mediaFiles.length >= 1) {
             await this.canvas.loadBackground(mediaFiles[0]);
             this.syncBackgroundSliders();
@@ -601,6 +995,11 @@ const UIManager = {
 
         if (mediaFiles.length >= 2) {
             await this.canvas.loadPhotocard(mediaFiles[1]);
+
+            // Any further files become additional photocard layers
+            for (const file of mediaFiles.slice(2)) {
+                await this.canvas.loadPhotocard(file, { newLayer: true });
+            }
             this.syncPhotocardSliders();
 
             // Show edit mode hint when both images are loaded
@@ -625,6 +1024,46 @@ const UIManager = {
         this.showNotification('Canvas reset', 'success');
     },
 
+    /**
+     * Handle undo
+     */
+    handleUndo() {
+        if (window.HistoryManager && window.HistoryManager.undo()) {
+            this.syncAfterHistoryChange();
+        }
+    },
+
+    /**
+     * Handle redo
+     */
+    handleRedo() {
+        if (window.HistoryManager && window.HistoryManager.redo()) {
+            this.syncAfterHistoryChange();
+        }
+    },
+
+    /**
+     * Bring the controls back in line with a restored canvas state
+     */
+    syncAfterHistoryChange() {
+        this.syncBackgroundSliders();
+        this.handleLayersChanged();
+
+        if (this.canvas.backgroundImage) {
+            this.hideCanvasOverlay();
+        } else {
+            this.showCanvasOverlay();
+        }
+    },
+
+    /**
+     * Enable/disable the undo and redo buttons
+     */
+    updateHistoryButtons(history) {
+        this.elements.undoBtn.disabled = !history.canUndo();
+        this.elements.redoBtn.disabled = !history.canRedo();
+    },
+
     /**
      * Handle save/export - saves first, then shows confirmation modal
      */
@@ -634,6 +1073,10 @@ const UIManager = {
             return;
         }
 
+        // Pick export options first
+        const settings = await this.openExportModal();
+        if (!settings) return;
+
         // Save/share the image first
         try {
             // Check if we have video, GIF animation, or static image
@@ -641,32 +1084,19 @@ const UIManager = {
             const hasGif = this.canvas.hasGifAnimation();
             const exportAsVideo = hasVideo;
             const exportAsGif = !hasVideo && hasGif;
+            const animationFormat = this.canvas.getAnimationFormat(settings.animationFormat);
 
+            let exportOptions = {};
             if (exportAsVideo) {
-                this.showLoading('Generating video...');
+                exportOptions = this.startExportProgress('Generating video...');
             } else if (exportAsGif) {
-                this.showLoading('Generating animated GIF...');
+                exportOptions = this.startExportProgress(`Generating ${animationFormat.label.replace('Animated', 'animated')}...`);
             } else {
                 this.showLoading('Exporting...');
             }
 
             const isMobile = window.innerWidth <= 767;
-            let extension, mimeType, blob;
-
-            if (exportAsVideo) {
-                const videoData = await this.canvas.exportAsVideo();
-                blob = videoData.blob;
-                mimeType = videoData.mimeType;
-                extension = videoData.extension;
-            } else if (exportAsGif) {
-                extension = 'gif';
-                mimeType = 'image/gif';
-                blob = await this.canvas.exportImage(true);
-            } else {
-                extension = 'png';
-                mimeType = 'image/png';
-                blob = await this.canvas.exportImage(false);
-            }
+            const { blob, mimeType, extension, budgetNote } = await this.exportComposition({ ...settings, ...exportOptions });
 
             const filename = `proofshot-${Date.now()}.${extension}`;
 
@@ -681,18 +1111,18 @@ const UIManager = {
                             title: 'Proofshot',
                             text: 'Check out my proofshot!'
                         });
-                        this.showNotification('Shared successfully', 'success');
+                        this.showNotification('Shared successfully' + budgetNote, 'success');
                     } catch (shareError) {
                         if (shareError.name !== 'AbortError') {
                             // Fallback to download
                             this.downloadBlob(blob, filename);
-                            this.showNotification('Saved!', 'success');
+                            this.showNotification('Saved!' + budgetNote, 'success');
                         }
                     }
                 } else {
                     // canShare returned false or not available, use download
                     this.downloadBlob(blob, filename);
-                    this.showNotification('Saved!', 'success');
+                    this.showNotification('Saved!' + budgetNote, 'success');
                 }
             } else {
                 // Desktop, Android, or video: standard download
@@ -701,21 +1131,98 @@ const UIManager = {
                 if (exportAsVideo) {
                     message = 'Video saved successfully';
                 } else if (exportAsGif) {
-                    message = 'Animated GIF saved successfully';
+                    message = `${animationFormat.label} saved successfully`;
                 }
-                this.showNotification(message, 'success');
+                this.showNotification(message + budgetNote, 'success');
             }
 
             // After saving, show the "What's next?" modal
             this.openSaveConfirmationModal();
         } catch (error) {
-            console.error('Error saving:', error);
-            this.showNotification('Failed to save proofshot', 'error');
+            if (error.name === 'AbortError') {
+                this.showNotification('Export cancelled', 'info');
+            } else {
+                console.error('Error saving:', error);
+                this.showNotification('Failed to save proofshot', 'error');
+            }
         } finally {
             this.hideLoading();
         }
     },
 
+    /**
+     * Export the composition as video, animation or still, depending on its media
+     * With a size limit set, the export is reduced until it fits and budgetNote says how
+     * Animation and video exports take onProgress and signal, see startExportProgress()
+     * @param {string} kind - 'video', 'gif' or 'still' to override the one the media calls for
+     * @returns {Promise<Object>} { blob, mimeType, extension, budgetNote }
+     */
+    async exportComposition(settings, kind = null) {
+        kind = kind || (this.canvas.hasVideo() ? 'video' : (this.canvas.hasGifAnimation() ? 'gif' : 'still'));
+        const maxSizeMB = parseFloat(settings.maxSizeMB);
+
+        if (kind === 'gif') {
+            settings = this.getAnimationExportOptions(settings);
+        }
+
+        if (maxSizeMB > 0) {
+            const result = await this.canvas.exportWithinBudget(kind, {
+                ...settings,
+                maxBytes: maxSizeMB * 1024 * 1024
+            });
+
+            let budgetNote = '';
+            if (!result.withinBudget) {
+                budgetNote = ` - still ${this.formatFileSize(result.blob.size)}, over the ${maxSizeMB} MB limit`;
+            } else if (result.sacrifices.length > 0) {
+                budgetNote = ` - fit under ${maxSizeMB} MB by reducing ${result.sacrifices.join(', ')}`;
+            }
+
+            return { ...result, budgetNote };
+        }
+
+        if (kind === 'video') {
+            const videoData = await this.canvas.exportAsVideo(null, settings);
+            return { ...videoData, budgetNote: '' };
+        }
+
+        if (kind === 'gif') {
+            const format = this.canvas.getAnimationFormat(settings.animationFormat);
+            return {
+                blob: await this.canvas.exportImage(true, settings),
+                mimeType: format.mimeType,
+                extension: format.extension,
+                budgetNote: ''
+            };
+        }
+
+        const format = this.canvas.getImageFormat(settings.format);
+        return {
+            blob: await this.canvas.exportImage(false, settings),
+            mimeType: format.mimeType,
+            extension: format.extension,
+            budgetNote: ''
+        };
+    },
+
+    /**
+     * Turn the animation export settings into CanvasManager.exportAnimation() options
+     */
+    getAnimationExportOptions(settings) {
+        const animationFormat = this.canvas.isAnimationFormatSupported(settings.animationFormat) ? settings.animationFormat : 'gif';
+
+        return {
+            ...settings,
+            animationFormat,
+            colors: parseInt(settings.gifColors) || 256,
+            dither: settings.gifDither,
+            maxWidth: parseInt(settings.animationMaxWidth) || 0,
+            frameStep: parseInt(settings.animationFrameStep) || 1,
+            pingPong: !!settings.animationPingPong,
+            plays: parseInt(settings.animationLoop) || 0
+        };
+    },
+
     /**
      * Handle save as video - always exports as video
      */
@@ -726,26 +1233,293 @@ const UIManager = {
         }
 
         try {
-            this.showLoading('Generating video...');
+            const exportOptions = this.startExportProgress('Generating video...');
 
-            const isMobile = window.innerWidth <= 767;
-
-            // Export as video
-            const videoData = await this.canvas.exportAsVideo();
-            const blob = videoData.blob;
-            const mimeType = videoData.mimeType;
-            const extension = videoData.extension;
+            // Export as video, with the audio, size and size limit from the export settings
+            const { blob, extension, budgetNote } = await this.exportComposition({ ...this.exportSettings, ...exportOptions }, 'video');
             const filename = `proofshot-${Date.now()}.${extension}`;
 
             // Videos always use direct download
             this.downloadBlob(blob, filename);
-            this.showNotification('Video saved successfully', 'success');
+            this.showNotification('Video saved successfully' + budgetNote, 'success');
 
             // After saving, show the "What's next?" modal
             this.openSaveConfirmationModal();
         } catch (error) {
-            console.error('Error saving video:', error);
-            this.showNotification('Failed to save video', 'error');
+            if (error.name === 'AbortError') {
+                this.showNotification('Export cancelled', 'info');
+            } else {
+                console.error('Error saving video:', error);
+                this.showNotification('Failed to save video', 'error');
+            }
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Show the export settings modal
+     * @returns {Promise<Object|null>} chosen settings, or null when cancelled
+     */
+    openExportModal() {
+        // Settle a modal that is still open
+        this.closeExportModal(null);
+
+        // Format applies to still images, the animation options to animations
+        this.exportIsStill = !this.canvas.hasVideo() && !this.canvas.hasGifAnimation();
+        this.exportIsAnimation = !this.canvas.hasVideo() && this.canvas.hasGifAnimation();
+        if (!this.canvas.isImageFormatSupported(this.exportSettings.format)) {
+            this.exportSettings.format = 'png';
+        }
+        if (!this.canvas.isAnimationFormatSupported(this.exportSettings.animationFormat)) {
+            this.exportSettings.animationFormat = 'gif';
+        }
+
+        this.elements.exportSizeSelect.value = this.exportSettings.size;
+        this.elements.exportFormatSelect.value = this.exportSettings.format;
+        this.elements.exportQualitySlider.value = Math.round(this.exportSettings.quality * 100);
+        this.elements.exportQualityValue.textContent = Math.round(this.exportSettings.quality * 100) + '%';
+        this.elements.exportMaxSizeSelect.value = this.exportSettings.maxSizeMB || '';
+
+        this.updateExportFormatOptions();
+        this.updateExportFormatControls();
+        this.updateExportAnimationOptions();
+        this.updateExportAudioOptions();
+        this.updateExportSizeInfo();
+        this.scheduleExportEstimate();
+
+        this.elements.exportModal.classList.add('active');
+        this.initializeLucideIcons();
+
+        return new Promise(resolve => {
+            this.exportModalResolve = resolve;
+        });
+    },
+
+    /**
+     * Close the export settings modal
+     * @param {Object|null} settings - Settings to export with, null to cancel
+     */
+    closeExportModal(settings = null) {
+        this.elements.exportModal.classList.remove('active');
+
+        clearTimeout(this.exportEstimateTimeout);
+        this.exportEstimateTimeout = null;
+        this.exportEstimateId++;
+        this.exportPreview = null;
+
+        if (this.exportModalResolve) {
+            const resolve = this.exportModalResolve;
+            this.exportModalResolve = null;
+            resolve(settings);
+        }
+    },
+
+    /**
+     * Show the pixel size the selected export size option produces
+     */
+    updateExportSizeInfo() {
+        const size = this.exportIsAnimation
+            ? this.canvas.getGifOutputSize(this.getAnimationExportOptions(this.exportSettings))
+            : this.canvas.getExportSize(this.exportSettings.size);
+        this.elements.exportSizeInfo.textContent = `${size.width} × ${size.height}`;
+    },
+
+    /**
+     * Mark formats the browser can't encode
+     */
+    updateExportFormatOptions() {
+        Array.from(this.elements.exportFormatSelect.options).forEach(option => {
+            const supported = this.canvas.isImageFormatSupported(option.value);
+            option.disabled = !supported;
+            option.textContent = this.canvas.getImageFormat(option.value).label + (supported ? '' : ' (not supported)');
+        });
+    },
+
+    /**
+     * Only lossy formats have a quality setting
+     */
+    updateExportFormatControls() {
+        const format = this.exportIsAnimation
+            ? this.canvas.getAnimationFormat(this.exportSettings.animationFormat)
+            : this.canvas.getImageFormat(this.exportSettings.format);
+        this.elements.exportFormatGroup.style.display = this.exportIsStill ? '' : 'none';
+        this.elements.exportQualityGroup.style.display = (this.exportIsStill || this.exportIsAnimation) && format.lossy ? '' : 'none';
+        this.elements.exportEstimate.style.display = this.exportIsStill || this.exportIsAnimation ? '' : 'none';
+    },
+
+    /**
+     * Show the animation options with the current settings, labelling frame rates for this animation
+     * Colours and dithering only apply to GIFs
+     */
+    updateExportAnimationOptions() {
+        const settings = this.exportSettings;
+        const isGif = this.exportIsAnimation && settings.animationFormat === 'gif';
+
+        this.elements.exportAnimationGroup.style.display = this.exportIsAnimation ? '' : 'none';
+        this.elements.exportGifGroup.style.display = isGif ? '' : 'none';
+        if (!this.exportIsAnimation) return;
+
+        Array.from(this.elements.exportAnimationFormatSelect.options).forEach(option => {
+            const supported = this.canvas.isAnimationFormatSupported(option.value);
+            option.disabled = !supported;
+            option.textContent = this.canvas.getAnimationFormat(option.value).label + (supported ? '' : ' (not supported)');
+        });
+
+        this.elements.exportAnimationFormatSelect.value = settings.animationFormat;
+        this.elements.exportAnimationWidthSelect.value = settings.animationMaxWidth || '';
+        this.elements.exportAnimationFrameStepSelect.value = String(settings.animationFrameStep);
+        this.elements.exportAnimationLoopSelect.value = String(settings.animationLoop);
+        this.elements.exportAnimationPingPongToggle.checked = !!settings.animationPingPong;
+        this.elements.exportGifColorsSelect.value = String(settings.gifColors);
+        this.elements.exportGifDitherSelect.value = settings.gifDither;
+
+        const frameRate = this.canvas.getGifFrameRate();
+        const labels = ['Every frame', 'Every 2nd frame', 'Every 3rd frame', 'Every 4th frame'];
+        Array.from(this.elements.exportAnimationFrameStepSelect.options).forEach((option, index) => {
+            const fps = frameRate / parseInt(option.value);
+            option.textContent = `${labels[index]} (${fps < 10 ? fps.toFixed(1) : Math.round(fps)} fps)`;
+        });
+    },
+
+    /**
+     * Offer the audio of the videos in the composition (video exports only)
+     */
+    updateExportAudioOptions() {
+        const available = {
+            photocard: this.canvas.getAudioSources('photocard').length > 0,
+            background: this.canvas.getAudioSources('background').length > 0,
+            none: true
+        };
+
+        const hasVideo = this.canvas.hasVideo();
+        this.elements.exportAudioGroup.style.display = hasVideo ? '' : 'none';
+        Array.from(this.elements.exportAudioSelect.options).forEach(option => {
+            option.disabled = !available[option.value];
+        });
+
+        // Fall back to whichever source exists
+        if (hasVideo && !available[this.exportSettings.audioSource]) {
+            this.exportSettings.audioSource = available.photocard ? 'photocard' : (available.background ? 'background' : 'none');
+        }
+
+        this.elements.exportAudioSelect.value = this.exportSettings.audioSource;
+        this.elements.exportAudioVolumeSlider.value = Math.round(this.exportSettings.audioVolume * 100);
+        this.elements.exportAudioVolumeValue.textContent = Math.round(this.exportSettings.audioVolume * 100) + '%';
+        this.updateExportAudioControls();
+    },
+
+    updateExportAudioControls() {
+        this.elements.exportAudioVolumeLabel.style.display = this.exportSettings.audioSource === 'none' ? 'none' : '';
+    },
+
+    /**
+     * Re-estimate the file size once the controls settle
+     */
+    scheduleExportEstimate() {
+        if (!this.exportIsStill && !this.exportIsAnimation) return;
+
+        clearTimeout(this.exportEstimateTimeout);
+        this.elements.exportEstimate.textContent = 'Estimating size...';
+        this.exportEstimateTimeout = setTimeout(() => {
+            this.exportEstimateTimeout = null;
+            this.updateExportEstimate();
+        }, 250);
+    },
+
+    /**
+     * Encode the still (or a few animation frames) with the current settings to show the file size
+     */
+    async updateExportEstimate() {
+        const settings = { ...this.exportSettings };
+        const estimateId = ++this.exportEstimateId;
+
+        try {
+            let text;
+            if (this.exportIsAnimation) {
+                const estimate = await this.canvas.estimateAnimationSize(this.getAnimationExportOptions(settings));
+                text = `Estimated size: about ${this.formatFileSize(estimate.bytes)} (${estimate.frames} frames)`;
+            } else {
+                // Rendering is the slow part, so keep the still until the size changes
+                if (!this.exportPreview) {
+                    this.exportPreview = this.canvas.renderStill(settings);
+                }
+                const blob = await this.canvas.encodeStill(this.exportPreview, settings);
+                text = `Estimated size: ${this.formatFileSize(blob.size)}`;
+            }
+
+            // Ignore results for settings that changed while encoding
+            if (estimateId !== this.exportEstimateId) return;
+            this.elements.exportEstimate.textContent = text;
+        } catch (error) {
+            console.warn('Could not estimate export size:', error);
+            this.elements.exportEstimate.textContent = '';
+        }
+    },
+
+    /**
+     * Format a byte count for display
+     */
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    },
+
+    /**
+     * Restore the last used export options
+     */
+    loadExportSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('proofshot-export-settings'));
+            if (saved && typeof saved === 'object') {
+                this.exportSettings = { ...this.exportSettings, ...saved };
+            }
+        } catch (error) {
+            console.warn('Could not read export settings:', error);
+        }
+    },
+
+    saveExportSettings() {
+        localStorage.setItem('proofshot-export-settings', JSON.stringify(this.exportSettings));
+    },
+
+    /**
+     * Save the composition as an editable .proofshot project
+     */
+    async handleSaveProject() {
+        if (!this.canvas.backgroundImage && !this.canvas.photocardLayers.some(layer => !layer.isPlaceholder)) {
+            this.showNotification('Nothing to save yet - add a background or photocard first', 'error');
+            return;
+        }
+
+        try {
+            this.showLoading('Saving project...');
+
+            const blob = await ProjectManager.exportProject();
+            this.downloadBlob(blob, `proofshot-${Date.now()}.${ProjectManager.fileExtension}`);
+            this.showNotification('Project saved', 'success');
+        } catch (error) {
+            console.error('Error saving project:', error);
+            this.showNotification('Failed to save project', 'error');
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Open a .proofshot project, replacing the current composition
+     */
+    async handleOpenProject(file) {
+        try {
+            this.showLoading('Opening project...');
+
+            await ProjectManager.openProject(file);
+            this.syncAfterHistoryChange();
+            this.showNotification('Project opened', 'success');
+        } catch (error) {
+            console.error('Error opening project:', error);
+            this.showNotification(error.message || 'Failed to open project', 'error');
         } finally {
             this.hideLoading();
         }
@@ -885,6 +1659,22 @@ const UIManager = {
         }
 
         switch (e.key.toLowerCase()) {
+            case 'z':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        this.handleRedo();
+                    } else {
+                        this.handleUndo();
+                    }
+                }
+                break;
+            case 'y':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    this.handleRedo();
+                }
+                break;
             case 'r':
                 if (e.ctrlKey || e.metaKey) {
                     e.preventDefault();
@@ -894,7 +1684,17 @@ const UIManager = {
             case 's':
                 if (e.ctrlKey || e.metaKey) {
                     e.preventDefault();
-                    this.handleSave();
+                    if (e.shiftKey) {
+                        this.handleSaveProject();
+                    } else {
+                        this.handleSave();
+                    }
+                }
+                break;
+            case 'o':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    this.elements.projectFileInput.click();
                 }
                 break;
             case 'h':
@@ -910,6 +1710,7 @@ const UIManager = {
                 this.canvas.rotateRight();
                 break;
             case 'escape':
+                this.closeExportModal(null);
                 this.closeQRModal();
                 this.closeSaveConfirmationModal();
                 break;
@@ -921,6 +1722,36 @@ const UIManager = {
      */
     toggleToploader(show) {
         this.canvas.toggleToploader(show);
+        this.elements.toploaderPresetSelect.disabled = !show;
+    },
+
+    /**
+     * Show the scene light on its controls
+     * The angle slider only applies when the light doesn't follow the background
+     */
+    syncLightControls() {
+        if (!this.elements.lightAngleSlider) return;
+
+        const light = this.canvas.light;
+        this.elements.lightAngleSlider.value = light.angle;
+        this.elements.lightAngleValue.textContent = Math.round(light.angle) + '°';
+        this.elements.lightAngleSlider.disabled = light.auto;
+        this.elements.lightAutoToggle.checked = light.auto;
+    },
+
+    /**
+     * Fill the holder style picker from ToploaderPresets
+     */
+    renderToploaderPresetOptions() {
+        const select = this.elements.toploaderPresetSelect;
+        select.innerHTML = '';
+
+        ToploaderPresets.presets.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.name;
+            select.appendChild(option);
+        });
     },
 
     /**
@@ -974,6 +1805,40 @@ const UIManager = {
         this.elements.saveConfirmationModal.classList.remove('active');
     },
 
+    /**
+     * Ask whether to restore the autosaved composition
+     * @param {string} savedAt - ISO timestamp of the autosave
+     * @returns {Promise<boolean>} true to restore, false to start fresh
+     */
+    confirmAutosaveRestore(savedAt) {
+        const modal = this.elements.restoreModal;
+        const savedDate = new Date(savedAt);
+
+        if (!isNaN(savedDate)) {
+            this.elements.restoreModalText.textContent =
+                `Your last composition was saved automatically on ${savedDate.toLocaleString()}.`;
+        }
+
+        modal.classList.add('active');
+        this.initializeLucideIcons();
+
+        return new Promise(resolve => {
+            const finish = (restore) => {
+                modal.classList.remove('active');
+                this.elements.restoreAutosaveBtn.removeEventListener('click', onRestore);
+                this.elements.discardAutosaveBtn.removeEventListener('click', onDiscard);
+                this.elements.restoreModalClose.removeEventListener('click', onDiscard);
+                resolve(restore);
+            };
+            const onRestore = () => finish(true);
+            const onDiscard = () => finish(false);
+
+            this.elements.restoreAutosaveBtn.addEventListener('click', onRestore);
+            this.elements.discardAutosaveBtn.addEventListener('click', onDiscard);
+            this.elements.restoreModalClose.addEventListener('click', onDiscard);
+        });
+    },
+
     /**
      * Handle keep editing - just closes the modal
      */
@@ -1030,8 +1895,12 @@ const UIManager = {
 
     /**
      * Show loading indicator
+     * Calling it again while shown just updates the message, so it can report progress
+     * @param {string} message
+     * @param {Object} options - { onCancel: shows a Cancel button that calls it,
+     *                             progress: 0-1 shows a progress bar, detail: text under the bar }
      */
-    showLoading(message = 'Loading...') {
+    showLoading(message = 'Loading...', options = {}) {
         console.log('Loading:', message);
 
         // Create loading overlay if it doesn't exist
@@ -1043,6 +1912,9 @@ const UIManager = {
                 <div class="loading-content">
                     <div class="loading-spinner"></div>
                     <div class="loading-message">Loading...</div>
+                    <div class="loading-progress"><div class="loading-progress-bar"></div></div>
+                    <div class="loading-detail"></div>
+                    <button type="button" class="loading-cancel">Cancel</button>
                 </div>
             `;
 
@@ -1085,6 +1957,35 @@ const UIManager = {
                         font-size: 1.1rem;
                         font-weight: 600;
                     }
+                    .loading-progress {
+                        width: 240px;
+                        height: 6px;
+                        margin: 14px auto 0;
+                        border-radius: 3px;
+                        background: rgba(255, 255, 255, 0.3);
+                        overflow: hidden;
+                    }
+                    .loading-progress-bar {
+                        width: 0;
+                        height: 100%;
+                        background: white;
+                        transition: width 0.2s linear;
+                    }
+                    .loading-detail {
+                        margin-top: 8px;
+                        font-size: 0.9rem;
+                        opacity: 0.8;
+                    }
+                    .loading-cancel {
+                        margin-top: 16px;
+                        padding: 8px 20px;
+                        border: 2px solid white;
+                        border-radius: 8px;
+                        background: transparent;
+                        color: white;
+                        font-weight: 600;
+                        cursor: pointer;
+                    }
                     @keyframes spin {
                         0% { transform: rotate(0deg); }
                         100% { transform: rotate(360deg); }
@@ -1100,6 +2001,26 @@ const UIManager = {
             messageEl.textContent = message;
         }
 
+        const hasProgress = typeof options.progress === 'number';
+        const progressEl = loadingOverlay.querySelector('.loading-progress');
+        const progressBar = loadingOverlay.querySelector('.loading-progress-bar');
+        if (progressEl && progressBar) {
+            progressEl.style.display = hasProgress ? '' : 'none';
+            progressBar.style.width = hasProgress ? `${Math.round(Math.min(1, Math.max(0, options.progress)) * 100)}%` : '0';
+        }
+
+        const detailEl = loadingOverlay.querySelector('.loading-detail');
+        if (detailEl) {
+            detailEl.textContent = options.detail || '';
+            detailEl.style.display = options.detail ? '' : 'none';
+        }
+
+        const cancelBtn = loadingOverlay.querySelector('.loading-cancel');
+        if (cancelBtn) {
+            cancelBtn.style.display = options.onCancel ? '' : 'none';
+            cancelBtn.onclick = options.onCancel || null;
+        }
+
         loadingOverlay.style.display = 'flex';
     },
 
@@ -1111,6 +2032,11 @@ const UIManager = {
         const loadingOverlay = document.getElementById('loading-overlay');
         if (loadingOverlay) {
             loadingOverlay.style.display = 'none';
+
+            const cancelBtn = loadingOverlay.querySelector('.loading-cancel');
+            if (cancelBtn) {
+                cancelBtn.onclick = null;
+            }
         }
     },
 
@@ -1511,8 +2437,8 @@ const UIManager = {
      * Handle add photocard from camera
      */
     handleCameraAddPhotocard() {
-        // Trigger photocard upload
-        this.triggerPhotocardFileInput();
+        // Trigger photocard upload as a new layer
+        this.triggerPhotocardFileInput(true);
     },
 
     /**
@@ -1682,6 +2608,38 @@ const UIManager = {
 
         this.elements.bgRotationSlider.value = bg.rotation;
         this.elements.bgRotationValue.textContent = Math.round(bg.rotation) + '°';
+
+        this.syncTrimControls();
+    },
+
+    /**
+     * Show the trim handles for the background and the selected photocard when they are videos
+     */
+    syncTrimControls() {
+        const layer = this.canvas.getActiveLayer();
+
+        this.syncVideoTrimControls('bg', this.canvas.backgroundVideo);
+        this.syncVideoTrimControls('photocard', layer ? layer.video : this.canvas.createVideoState());
+    },
+
+    syncVideoTrimControls(prefix, video) {
+        const group = this.elements[prefix + 'TrimGroup'];
+        if (!group) return;
+
+        const duration = video.isVideo && video.element && isFinite(video.element.duration) ? video.element.duration : 0;
+        group.style.display = duration ? '' : 'none';
+        if (!duration) return;
+
+        const { start, end } = this.canvas.getVideoTrim(video);
+        const startSlider = this.elements[prefix + 'TrimStartSlider'];
+        const endSlider = this.elements[prefix + 'TrimEndSlider'];
+
+        startSlider.max = duration;
+        endSlider.max = duration;
+        startSlider.value = start;
+        endSlider.value = end;
+        this.elements[prefix + 'TrimStartValue'].textContent = start.toFixed(1) + 's';
+        this.elements[prefix + 'TrimEndValue'].textContent = end.toFixed(1) + 's';
     },
 
     /**
@@ -1695,31 +2653,18 @@ const UIManager = {
             const hasGif = this.canvas.hasGifAnimation();
             const exportAsVideo = hasVideo;
             const exportAsGif = !hasVideo && hasGif;
+            const animationFormat = this.canvas.getAnimationFormat(this.exportSettings.animationFormat);
 
+            let exportOptions = {};
             if (exportAsVideo) {
-                this.showLoading('Generating video...');
+                exportOptions = this.startExportProgress('Generating video...');
             } else if (exportAsGif) {
-                this.showLoading('Generating animated GIF...');
+                exportOptions = this.startExportProgress(`Generating ${animationFormat.label.replace('Animated', 'animated')}...`);
             } else {
                 this.showLoading('Preparing to share...');
             }
 
-            let extension, mimeType, blob;
-
-            if (exportAsVideo) {
-                const videoData = await this.canvas.exportAsVideo();
-                blob = videoData.blob;
-                mimeType = videoData.mimeType;
-                extension = videoData.extension;
-            } else if (exportAsGif) {
-                extension = 'gif';
-                mimeType = 'image/gif';
-                blob = await this.canvas.exportImage(true);
-            } else {
-                extension = 'png';
-                mimeType = 'image/png';
-                blob = await this.canvas.exportImage(false);
-            }
+            const { blob, mimeType, extension, budgetNote } = await this.exportComposition({ ...this.exportSettings, ...exportOptions });
 
             const filename = `proofshot-${Date.now()}.${extension}`;
             const file = new File([blob], filename, { type: mimeType });
@@ -1735,20 +2680,20 @@ const UIManager = {
                         });
                         let message = 'Photo shared successfully!';
                         if (exportAsGif) {
-                            message = 'Animated GIF shared successfully!';
+                            message = `${animationFormat.label} shared successfully!`;
                         }
-                        this.showNotification(message, 'success');
+                        this.showNotification(message + budgetNote, 'success');
                     } catch (shareError) {
                         if (shareError.name !== 'AbortError') {
                             // Fallback to download
                             this.downloadBlob(blob, filename);
-                            this.showNotification('Saved!', 'success');
+                            this.showNotification('Saved!' + budgetNote, 'success');
                         }
                     }
                 } else {
                     // canShare returned false or not available, use download
                     this.downloadBlob(blob, filename);
-                    this.showNotification('Saved!', 'success');
+                    this.showNotification('Saved!' + budgetNote, 'success');
                 }
             } else {
                 // Android or video: direct download
@@ -1757,16 +2702,20 @@ const UIManager = {
                 if (exportAsVideo) {
                     message = 'Video saved!';
                 } else if (exportAsGif) {
-                    message = 'GIF saved!';
+                    message = `${animationFormat.label} saved!`;
                 }
-                this.showNotification(message, 'success');
+                this.showNotification(message + budgetNote, 'success');
             }
 
             // After saving, show the "What's next?" modal
             this.openSaveConfirmationModal();
         } catch (error) {
-            console.error('Error saving/sharing:', error);
-            this.showNotification('Failed to save', 'error');
+            if (error.name === 'AbortError') {
+                this.showNotification('Export cancelled', 'info');
+            } else {
+                console.error('Error saving/sharing:', error);
+                this.showNotification('Failed to save', 'error');
+            }
         } finally {
             this.hideLoading();
         }
@@ -1814,6 +2763,90 @@ const UIManager = {
         }
     },
 
+    /**
+     * Handle layer stack or selection changes from the canvas
+     */
+    handleLayersChanged() {
+        if (!this.elements.layerList) return;
+
+        this.renderLayerList();
+        this.syncPhotocardSliders();
+
+        if (this.elements.toploaderToggle) {
+            const transform = this.canvas.photocard;
+            this.elements.toploaderToggle.checked = transform.showToploader;
+            this.elements.toploaderPresetSelect.value = ToploaderPresets.getPreset(transform.toploaderPreset).id;
+            this.elements.toploaderPresetSelect.disabled = !transform.showToploader;
+        }
+
+        this.syncLightControls();
+
+        // Projects and undo can bring other toploader settings and holders with them
+        if (window.ToploaderEditor && window.ToploaderEditor.container) {
+            window.ToploaderEditor.syncFields();
+            window.ToploaderEditor.updateFieldStates();
+        }
+    },
+
+    /**
+     * Keep the playback controls on the canvas timeline
+     */
+    handleTimelineChanged() {
+        const controls = this.elements.timelineControls;
+        if (!controls) return;
+
+        const duration = this.canvas.getTimelineDuration();
+        controls.style.display = duration > 0 ? '' : 'none';
+        if (duration <= 0) return;
+
+        const timeline = this.canvas.timeline;
+        const slider = this.elements.timelineScrubSlider;
+        slider.max = Math.round(duration);
+        if (!this.timelineScrubbing) {
+            slider.value = Math.round(timeline.time);
+        }
+        this.elements.timelineTime.textContent = (timeline.time / 1000).toFixed(1) + 's';
+
+        // Only touch the icon when the state flips
+        if (this.timelinePlayingShown !== timeline.playing) {
+            this.timelinePlayingShown = timeline.playing;
+            this.elements.timelinePlayBtn.innerHTML = `<i data-lucide="${timeline.playing ? 'pause' : 'play'}"></i>`;
+            this.initializeLucideIcons();
+        }
+    },
+
+    /**
+     * Render the photocard layer list (top-most layer first)
+     */
+    renderLayerList() {
+        const container = this.elements.layerList;
+        container.innerHTML = '';
+
+        const layers = this.canvas.photocardLayers;
+        for (let index = layers.length - 1; index >= 0; index--) {
+            const layer = layers[index];
+            const option = document.createElement('div');
+            option.className = 'layer-option';
+            option.dataset.layerIndex = index;
+
+            if (index === this.canvas.activeLayerIndex) {
+                option.classList.add('active');
+            }
+
+            const name = document.createElement('span');
+            name.textContent = layer.isPlaceholder ? 'Empty card' : `Card ${index + 1}`;
+
+            const meta = document.createElement('span');
+            meta.className = 'layer-option-meta';
+            const kind = layer.video.isVideo ? 'video' : layer.gif.isGif ? 'gif' : 'image';
+            meta.textContent = layer.transform.layer === 'back' ? `${kind} · back` : kind;
+
+            option.appendChild(name);
+            option.appendChild(meta);
+            container.appendChild(option);
+        }
+    },
+
     /**
      * Sync photocard sliders with canvas state
      */
@@ -1837,6 +2870,8 @@ const UIManager = {
         const degrees = (photocard.rotation * 180) / Math.PI;
         this.elements.photocardRotationSlider.value = degrees;
         this.elements.photocardRotationValue.textContent = Math.round(degrees) + '°';
+
+        this.syncTrimControls();
     }
 };
 
@@ -0,0 +1,358 @@
+/**
+ * webm-muxer.js
+ * Minimal WebM writer for WebCodecs output
+ *
+ * Collects encoded video (VP8/VP9) and audio (Opus) chunks and writes them as a
+ * seekable WebM file with clusters starting on video keyframes and a cue index.
+ * Everything is kept in memory, so it is meant for short clips.
+ */
+
+const WebMMuxer = {
+    // Element IDs (https://www.matroska.org/technical/elements.html)
+    ids: {
+        EBML: 0x1A45DFA3,
+        EBMLVersion: 0x4286,
+        EBMLReadVersion: 0x42F7,
+        EBMLMaxIDLength: 0x42F2,
+        EBMLMaxSizeLength: 0x42F3,
+        DocType: 0x4282,
+        DocTypeVersion: 0x4287,
+        DocTypeReadVersion: 0x4285,
+        Segment: 0x18538067,
+        SeekHead: 0x114D9B74,
+        Seek: 0x4DBB,
+        SeekID: 0x53AB,
+        SeekPosition: 0x53AC,
+        Info: 0x1549A966,
+        TimecodeScale: 0x2AD7B1,
+        MuxingApp: 0x4D80,
+        WritingApp: 0x5741,
+        Duration: 0x4489,
+        Tracks: 0x1654AE6B,
+        TrackEntry: 0xAE,
+        TrackNumber: 0xD7,
+        TrackUID: 0x73C5,
+        TrackType: 0x83,
+        CodecID: 0x86,
+        CodecPrivate: 0x63A2,
+        SeekPreRoll: 0x56BB,
+        Video: 0xE0,
+        PixelWidth: 0xB0,
+        PixelHeight: 0xBA,
+        Audio: 0xE1,
+        SamplingFrequency: 0xB5,
+        Channels: 0x9F,
+        Cluster: 0x1F43B675,
+        Timecode: 0xE7,
+        SimpleBlock: 0xA3,
+        Cues: 0x1C53BB6B,
+        CuePoint: 0xBB,
+        CueTime: 0xB3,
+        CueTrackPositions: 0xB7,
+        CueTrack: 0xF7,
+        CueClusterPosition: 0xF1
+    },
+
+    // Block timecodes are 16-bit offsets from their cluster, in ms
+    maxClusterSpan: 30000,
+
+    /**
+     * Codec IDs for the WebCodecs codec strings the muxer can store
+     */
+    getCodecId(codec) {
+        if (codec.startsWith('vp09')) return 'V_VP9';
+        if (codec === 'vp8') return 'V_VP8';
+        if (codec === 'opus') return 'A_OPUS';
+        return null;
+    },
+
+    /**
+     * Start a new file
+     * @param {Object} options - { video: { codec, width, height }, audio: { codec, sampleRate, channels, description } }
+     * @returns {Object} Muxer state for addChunk() and finalize()
+     */
+    create(options) {
+        const tracks = [];
+
+        if (options.video) {
+            tracks.push({ kind: 'video', number: tracks.length + 1, ...options.video });
+        }
+        if (options.audio) {
+            tracks.push({ kind: 'audio', number: tracks.length + 1, ...options.audio });
+        }
+
+        return { tracks, blocks: [], duration: 0 };
+    },
+
+    /**
+     * Add an EncodedVideoChunk or EncodedAudioChunk
+     * @param {Object} muxer - State from create()
+     * @param {string} kind - 'video' or 'audio'
+     * @param {Object} chunk - The encoded chunk
+     * @param {Object} metadata - Encoder output metadata (carries the Opus header)
+     */
+    addChunk(muxer, kind, chunk, metadata) {
+        const track = muxer.tracks.find(entry => entry.kind === kind);
+        if (!track) return;
+
+        if (metadata && metadata.decoderConfig && metadata.decoderConfig.description && !track.description) {
+            track.description = metadata.decoderConfig.description;
+        }
+
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+
+        muxer.blocks.push({
+            track: track.number,
+            kind,
+            time: chunk.timestamp / 1000, // µs -> ms
+            keyframe: chunk.type === 'key',
+            data
+        });
+        muxer.duration = Math.max(muxer.duration, (chunk.timestamp + (chunk.duration || 0)) / 1000);
+    },
+
+    /**
+     * Write the file
+     * @returns {Blob} WebM video
+     */
+    finalize(muxer) {
+        const ids = this.ids;
+        const hasVideo = muxer.tracks.some(track => track.kind === 'video');
+
+        // Interleave by time, video first so clusters open on a keyframe
+        const blocks = muxer.blocks.slice().sort((a, b) =>
+            a.time - b.time || (a.kind === 'video' ? -1 : 0) - (b.kind === 'video' ? -1 : 0));
+
+        const info = this.element(ids.Info, [
+            this.uintElement(ids.TimecodeScale, 1000000),
+            this.stringElement(ids.MuxingApp, 'Proofshot'),
+            this.stringElement(ids.WritingApp, 'Proofshot'),
+            this.floatElement(ids.Duration, muxer.duration)
+        ]);
+        const tracks = this.element(ids.Tracks, muxer.tracks.map(track => this.trackEntry(track)));
+
+        // Group blocks into clusters
+        const clusters = [];
+        let cluster = null;
+        blocks.forEach(block => {
+            const startNew = !cluster ||
+                (block.kind === 'video' && block.keyframe && block.time > cluster.time) ||
+                (!hasVideo && block.keyframe && block.time - cluster.time >= 1000) ||
+                block.time - cluster.time >= this.maxClusterSpan;
+
+            if (startNew) {
+                cluster = { time: Math.round(block.time), blocks: [], keyframe: block.kind === 'video' && block.keyframe };
+                clusters.push(cluster);
+            }
+            cluster.blocks.push(block);
+        });
+
+        const clusterParts = clusters.map(entry => this.element(ids.Cluster, [
+            this.uintElement(ids.Timecode, entry.time),
+            ...entry.blocks.map(block => this.simpleBlock(block, entry.time))
+        ]));
+
+        // Offsets are relative to the start of the Segment's content; the SeekHead
+        // uses fixed-width positions so its size is known before the offsets are
+        const seekHeadSize = this.byteLength(this.seekHead({ info: 0, tracks: 0, cues: 0 }));
+        const infoPosition = seekHeadSize;
+        const tracksPosition = infoPosition + this.byteLength(info);
+        let position = tracksPosition + this.byteLength(tracks);
+
+        const cuePoints = [];
+        clusters.forEach((entry, index) => {
+            if (entry.keyframe || (!hasVideo && index === 0)) {
+                cuePoints.push(this.element(ids.CuePoint, [
+                    this.uintElement(ids.CueTime, entry.time),
+                    this.element(ids.CueTrackPositions, [
+                        this.uintElement(ids.CueTrack, 1),
+                        this.uintElement(ids.CueClusterPosition, position)
+                    ])
+                ]));
+            }
+            position += this.byteLength(clusterParts[index]);
+        });
+        const cues = this.element(ids.Cues, cuePoints);
+
+        const segmentContent = [
+            this.seekHead({ info: infoPosition, tracks: tracksPosition, cues: position }),
+            info,
+            tracks,
+            ...clusterParts,
+            cues
+        ];
+
+        const header = this.element(ids.EBML, [
+            this.uintElement(ids.EBMLVersion, 1),
+            this.uintElement(ids.EBMLReadVersion, 1),
+            this.uintElement(ids.EBMLMaxIDLength, 4),
+            this.uintElement(ids.EBMLMaxSizeLength, 8),
+            this.stringElement(ids.DocType, 'webm'),
+            this.uintElement(ids.DocTypeVersion, 2),
+            this.uintElement(ids.DocTypeReadVersion, 2)
+        ]);
+
+        return new Blob(this.flatten([header, this.element(ids.Segment, segmentContent)]), { type: 'video/webm' });
+    },
+
+    trackEntry(track) {
+        const ids = this.ids;
+        const children = [
+            this.uintElement(ids.TrackNumber, track.number),
+            this.uintElement(ids.TrackUID, track.number),
+            this.uintElement(ids.TrackType, track.kind === 'video' ? 1 : 2),
+            this.stringElement(ids.CodecID, this.getCodecId(track.codec))
+        ];
+
+        // Opus needs its identification header even when the encoder doesn't hand one out
+        const description = track.description || (track.codec === 'opus' ? this.opusHead(track) : null);
+        if (description) {
+            children.push(this.element(ids.CodecPrivate, this.toBytes(description)));
+        }
+
+        if (track.kind === 'video') {
+            children.push(this.element(ids.Video, [
+                this.uintElement(ids.PixelWidth, track.width),
+                this.uintElement(ids.PixelHeight, track.height)
+            ]));
+        } else {
+            // Opus decoders need 80ms of pre-roll after a seek
+            children.push(this.uintElement(ids.SeekPreRoll, 80000000));
+            children.push(this.element(ids.Audio, [
+                this.floatElement(ids.SamplingFrequency, track.sampleRate),
+                this.uintElement(ids.Channels, track.channels)
+            ]));
+        }
+
+        return this.element(ids.TrackEntry, children);
+    },
+
+    /**
+     * Opus identification header (RFC 7845, section 5.1)
+     */
+    opusHead(track) {
+        const bytes = new Uint8Array(19);
+        const view = new DataView(bytes.buffer);
+
+        bytes.set(new TextEncoder().encode('OpusHead'));
+        bytes[8] = 1; // Version
+        bytes[9] = track.channels;
+        view.setUint16(10, 0, true); // Pre-skip
+        view.setUint32(12, track.sampleRate, true);
+        view.setInt16(16, 0, true); // Output gain
+        bytes[18] = 0; // Mono/stereo channel mapping
+
+        return bytes;
+    },
+
+    seekHead(positions) {
+        const ids = this.ids;
+        const seek = (id, position) => this.element(ids.Seek, [
+            this.element(ids.SeekID, this.idBytes(id)),
+            this.element(ids.SeekPosition, this.uintBytes(position, 8))
+        ]);
+
+        return this.element(ids.SeekHead, [
+            seek(ids.Info, positions.info),
+            seek(ids.Tracks, positions.tracks),
+            seek(ids.Cues, positions.cues)
+        ]);
+    },
+
+    simpleBlock(block, clusterTime) {
+        const header = new Uint8Array(4);
+        const offset = Math.round(block.time) - clusterTime;
+
+        header[0] = 0x80 | block.track; // Track number as a 1-byte vint
+        header[1] = (offset >> 8) & 0xFF;
+        header[2] = offset & 0xFF;
+        header[3] = block.keyframe ? 0x80 : 0x00;
+
+        return this.element(this.ids.SimpleBlock, [header, block.data]);
+    },
+
+    /**
+     * An element is a flat list of byte arrays: ID, size, then the content
+     */
+    element(id, content) {
+        const parts = this.flatten(Array.isArray(content) ? content : [content]);
+        const size = parts.reduce((total, part) => total + part.byteLength, 0);
+        return [this.idBytes(id), this.sizeBytes(size), ...parts];
+    },
+
+    uintElement(id, value) {
+        return this.element(id, this.uintBytes(value));
+    },
+
+    floatElement(id, value) {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setFloat64(0, value);
+        return this.element(id, bytes);
+    },
+
+    stringElement(id, value) {
+        return this.element(id, new TextEncoder().encode(value));
+    },
+
+    idBytes(id) {
+        const length = id > 0xFFFFFF ? 4 : id > 0xFFFF ? 3 : id > 0xFF ? 2 : 1;
+        return this.uintBytes(id, length);
+    },
+
+    /**
+     * Element size as a variable-length integer
+     */
+    sizeBytes(size) {
+        let length = 1;
+        while (length < 8 && size >= Math.pow(2, 7 * length) - 1) {
+            length++;
+        }
+
+        const bytes = this.uintBytes(size, length);
+        bytes[0] |= 1 << (8 - length);
+        return bytes;
+    },
+
+    uintBytes(value, length = 0) {
+        if (!length) {
+            length = 1;
+            while (length < 8 && value >= Math.pow(2, 8 * length)) {
+                length++;
+            }
+        }
+
+        const bytes = new Uint8Array(length);
+        for (let i = length - 1; i >= 0; i--) {
+            bytes[i] = value % 256;
+            value = Math.floor(value / 256);
+        }
+        return bytes;
+    },
+
+    toBytes(source) {
+        if (source instanceof Uint8Array) return source;
+        if (ArrayBuffer.isView(source)) return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+        return new Uint8Array(source);
+    },
+
+    flatten(parts, flat = []) {
+        parts.forEach(part => {
+            if (Array.isArray(part)) {
+                this.flatten(part, flat);
+            } else {
+                flat.push(part);
+            }
+        });
+        return flat;
+    },
+
+    byteLength(parts) {
+        return this.flatten(parts).reduce((total, part) => total + part.byteLength, 0);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WebMMuxer;
+}